@@ -0,0 +1,251 @@
+// Site adapters: everything TypoNoMo needs to know about a site's composer.
+//
+// An adapter has
+//   id                    names the site in the settings
+//   name                  shown in logs
+//   matches(location, document)
+//                         whether the adapter is for this page
+//   editorSelector        the editors to watch for typing and Ctrl/Cmd+Enter
+//   submitSelector        the controls that post
+//   composerFor(element)  the composer element is in: {kind, root, submit},
+//                         or null when there is no submit control
+//   blocks(editor)        the text of an editor as [{element, text, urls}];
+//                         urls are the URLs the site itself highlighted, or
+//                         null when the site does not tell
+//   links                 how the site turns text into links, for the
+//                         detector to find the same URLs: 'twitter' (see
+//                         linkify.js), or null for anything that looks like
+//                         a URL
+//   submit(composer)      posts for real
+//   reportMissing         whether an editor without a submit control means
+//                         the site changed and we should say so
+// adapterFor() picks the first site adapter that matches the page and falls
+// back to the generic one, which handles textareas and contenteditable
+// elements in ordinary forms. posts() reads what a composer is about to
+// post, one post per editor: a thread has several.
+
+var Adapters = (function(exports){
+
+	// Fills in what most adapters do the same way. spec.rootSelector names
+	// the element that holds a composer (a dialog or a form); without a match
+	// and unless spec.climb is false, the composer is the closest ancestor of
+	// the editor that contains a submit control.
+	function makeAdapter(spec) {
+		return Object.assign({
+			rootSelector: null,
+			rootKind: 'form',
+			blockSelector: null,
+			links: null,
+			climb: true,
+			reportMissing: true,
+
+			composerFor(element) {
+				var root = this.rootSelector ? element.closest(this.rootSelector) : null;
+				if (root) {
+					var submit = root.querySelector(this.submitSelector);
+					return submit ? {kind: this.rootKind, root: root, submit: submit} : null;
+				}
+				if (!this.climb) {
+					return null;
+				}
+				for (var node = element.parentElement; node; node = node.parentElement) {
+					var inlineSubmit = node.querySelector(this.submitSelector);
+					if (inlineSubmit) {
+						return {kind: 'inline', root: node, submit: inlineSubmit};
+					}
+				}
+				return null;
+			},
+
+			blocks(editor) {
+				if (isTextField(editor)) {
+					return [{element: editor, text: editor.value, urls: null}];
+				}
+				var elements = this.blockSelector ? Array.from(editor.querySelectorAll(this.blockSelector)) : [];
+				if (elements.length == 0) {
+					elements = [editor];
+				}
+				return elements.map((element) => ({element: element, text: element.textContent, urls: null}));
+			},
+
+			submit(composer) {
+				composer.submit.click();
+			}
+		}, spec);
+	}
+
+	function isTextField(element) {
+		return element.tagName === 'TEXTAREA' || element.tagName === 'INPUT';
+	}
+
+	function hostIs(location, domains) {
+		var host = location.hostname.toLowerCase();
+		return domains.some((domain) => host === domain || host.endsWith('.' + domain));
+	}
+
+	// twitter.com and x.com. Editors are Draft.js, one block per line. The
+	// URLs are found in the text with Twitter's own linking rules, since the
+	// editor only colors them once it gets round to it. A thread is one
+	// dialog with an editor per tweet, numbered from 0, and the same button,
+	// then labeled "Tweet all":
+	//   <div role="dialog"> ...
+	//     <div class="public-DraftEditor-content" contenteditable="true" role="textbox" data-testid="tweetTextarea_0">
+	//       <div class="public-DraftStyleDefault-block"><span>Good for </span><span style="color: ...">you.you</span>...
+	//     <div class="public-DraftEditor-content" contenteditable="true" role="textbox" data-testid="tweetTextarea_1"> ...
+	//     <div role="button" data-testid="tweetButton">
+	var twitter = makeAdapter({
+		id: 'twitter',
+		name: 'Twitter',
+		matches: (location) => hostIs(location, ['twitter.com', 'x.com']),
+		editorSelector: '[data-testid^="tweetTextarea_"][role="textbox"], .public-DraftEditor-content[contenteditable="true"]',
+		submitSelector: '[data-testid="tweetButton"], [data-testid="tweetButtonInline"]',
+		rootSelector: '[role="dialog"]',
+		rootKind: 'dialog',
+		blockSelector: '.public-DraftStyleDefault-block',
+		links: 'twitter'
+	});
+
+	// Mastodon runs on many domains, so it is recognized by its page:
+	//   <div id="mastodon"> ...
+	//     <form class="compose-form"> ... <textarea class="autosuggest-textarea__textarea">
+	//       ... <button type="submit">Publish</button>
+	var mastodon = makeAdapter({
+		id: 'mastodon',
+		name: 'Mastodon',
+		matches: (location, document) => document.getElementById('mastodon') !== null ||
+			document.querySelector('meta[name="application-name"][content="Mastodon"]') !== null,
+		editorSelector: '.compose-form textarea',
+		submitSelector: 'button[type="submit"]',
+		rootSelector: '.compose-form'
+	});
+
+	// bsky.app. The editor is TipTap (ProseMirror), one <p> per line:
+	//   <div data-testid="composePostView"> ...
+	//     <div class="ProseMirror" contenteditable="true"><p>Good for you.you're not blind</p></div>
+	//     <button data-testid="composerPublishBtn">Post</button>
+	var bluesky = makeAdapter({
+		id: 'bluesky',
+		name: 'Bluesky',
+		matches: (location) => hostIs(location, ['bsky.app']),
+		editorSelector: '.ProseMirror[contenteditable="true"]',
+		submitSelector: '[data-testid="composerPublishBtn"]',
+		rootSelector: '[data-testid="composePostView"], [role="dialog"]',
+		rootKind: 'dialog',
+		blockSelector: 'p'
+	});
+
+	// reddit.com: the Lexical rich text editor of the new site and the
+	// textareas of its markdown mode and of old.reddit.com:
+	//   <shreddit-composer> <div contenteditable="true" data-lexical-editor="true"><p>...</p></div>
+	//     <button slot="submit-button" type="submit">Comment</button>
+	//   <form class="usertext"> <div class="usertext-edit"><textarea name="text"></textarea></div>
+	//     <div class="usertext-buttons"><button type="submit" class="save">save</button>
+	var reddit = makeAdapter({
+		id: 'reddit',
+		name: 'Reddit',
+		matches: (location) => hostIs(location, ['reddit.com']),
+		editorSelector: '[data-lexical-editor="true"][contenteditable="true"], shreddit-composer textarea, .usertext-edit textarea',
+		submitSelector: 'button[slot="submit-button"], button[type="submit"]',
+		rootSelector: 'shreddit-composer, form',
+		blockSelector: 'p'
+	});
+
+	// Any other site: textareas and contenteditable elements inside a form
+	// with a submit button. Editors outside forms are left alone, and so is
+	// an editor without a submit button, as plenty of pages have those.
+	// Toolbars (bold, emoji, attach) are often buttons without a type, which
+	// HTML counts as submit buttons too, so the composer's button is the one
+	// clicked or else the form's default button (see defaultButton()), and
+	// the form is posted with requestSubmit() rather than by clicking it.
+	var generic = makeAdapter({
+		id: 'generic',
+		name: 'generic',
+		matches: () => true,
+		editorSelector: 'form textarea, form [contenteditable="true"], form [contenteditable=""]',
+		submitSelector: 'button[type="submit"], input[type="submit"], button:not([type])',
+		rootSelector: 'form',
+		climb: false,
+		reportMissing: false,
+
+		composerFor(element) {
+			var form = element.closest('form');
+			if (!form) {
+				return null;
+			}
+			var submit = element.matches(this.submitSelector) && element.form === form ? element : defaultButton(form);
+			return submit ? {kind: 'form', root: form, submit: submit} : null;
+		},
+
+		submit(composer) {
+			if (composer.root.requestSubmit) {
+				composer.root.requestSubmit(composer.submit);
+			} else {
+				composer.submit.click();
+			}
+		}
+	});
+
+	// The button that posts form: its first button or input of type submit,
+	// or else its first button without a type
+	function defaultButton(form) {
+		var controls = Array.from(form.elements);
+		return controls.filter((control) => control.matches('button[type="submit"], input[type="submit"]'))[0] ||
+			controls.filter((control) => control.matches('button:not([type])'))[0] || null;
+	}
+
+	var SITE_ADAPTERS = [twitter, mastodon, bluesky, reddit];
+
+	function adapterFor(location, document) {
+		return SITE_ADAPTERS.filter((adapter) => adapter.matches(location, document))[0] || generic;
+	}
+
+	// The posts of a composer, one per editor in page order (see postOf())
+	function posts(adapter, composer) {
+		var editors = Array.from(composer.root.querySelectorAll(adapter.editorSelector));
+		// an editor inside another one is part of it
+		return editors.filter((editor) => !editors.some((other) => other !== editor && other.contains(editor)))
+			.map((editor, index) => postOf(adapter, editor, index));
+	}
+
+	// What editor will post: {editor, index, text, blocks, urls}. text is the
+	// text of its blocks, one per line, and each block gets its offset in
+	// text; urls are those of all blocks, or null when a block does not tell.
+	// index is the post's place in its thread.
+	function postOf(adapter, editor, index) {
+		var offset = 0;
+		var blocks = adapter.blocks(editor).map((block) => {
+			var located = Object.assign({offset: offset}, block);
+			offset += block.text.length + 1;
+			return located;
+		});
+		return {
+			editor: editor,
+			index: index || 0,
+			text: blocks.map((block) => block.text).join('\n'),
+			blocks: blocks,
+			urls: blocks.every((block) => block.urls !== null) ? [].concat(...blocks.map((block) => block.urls)) : null
+		};
+	}
+
+	// The block of post that offset of its text is in
+	function blockAt(post, offset) {
+		return post.blocks.filter((block) => block.offset <= offset).pop() || post.blocks[0];
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.makeAdapter = makeAdapter;
+	exports.isTextField = isTextField;
+	exports.twitter = twitter;
+	exports.mastodon = mastodon;
+	exports.bluesky = bluesky;
+	exports.reddit = reddit;
+	exports.generic = generic;
+	exports.SITE_ADAPTERS = SITE_ADAPTERS;
+	exports.adapterFor = adapterFor;
+	exports.posts = posts;
+	exports.postOf = postOf;
+	exports.blockAt = blockAt;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,108 @@
+// The content script's side of the analysis worker (see worker.js).
+//
+// A RemoteDetector has the part of the Detector interface the page needs,
+// analyzeText(), explain() and registration(), and forwards the work to the
+// worker through a port to the background page. Findings come back as in
+// analyzeText(), with the explanation of each finding the model scored
+// attached.
+
+var Analysis = (function(exports){
+
+	var timing = typeof require != 'undefined' ? require('./timing.js') : self.Timing;
+
+	var PORT_NAME = 'analysis';
+	// How long a request may wait for the worker, in milliseconds: enough
+	// for it to load and for a DNS lookup to time out, not so long that a
+	// post held back for the check seems lost
+	var DEFAULT_TIMEOUT = 10000;
+
+	class RemoteDetector {
+		// port is a chrome.runtime.Port to the background page; requests that
+		// are not answered within options.timeout milliseconds reject
+		constructor(port, options) {
+			options = options || {};
+			this.port = port;
+			this.timeout = options.timeout || DEFAULT_TIMEOUT;
+			this.pending = new Map();
+			this.sequence = 0;
+			this.disconnected = false;
+			port.onMessage.addListener((message) => this.received(message));
+			port.onDisconnect.addListener(() => {
+				this.disconnected = true;
+				this.pending.forEach((request) => request.reject(new Error('The analysis worker is gone')));
+				this.pending.clear();
+			});
+		}
+
+		// options.urls and options.links as in analyzeText(); options.timer, a
+		// Timing.Timer, gets
+		// the worker's time per stage, and the rest of the round trip as
+		// messaging
+		analyzeText(text, options) {
+			options = options || {};
+			var sent = new timing.Timer();
+			return this.request('findings', {type: 'analyze', text: text, options: {urls: options.urls || null, links: options.links || null}}).then((message) => {
+				if (options.timer) {
+					Object.keys(message.timings).forEach((stage) => {
+						if (stage !== 'total') {
+							options.timer.add(stage, message.timings[stage]);
+						}
+					});
+					options.timer.add('messaging', Math.max(sent.elapsed() - message.timings.total, 0));
+				}
+				return message.findings;
+			});
+		}
+
+		explain(finding) {
+			return finding.explanation || null;
+		}
+
+		// Whether the domain of url is registered, as in Detector.registration()
+		registration(url) {
+			return this.request('registration', {type: 'registration', url: url}).then((message) => message.registration);
+		}
+
+		// Sends message to the worker and resolves to its answer of type reply
+		request(reply, message) {
+			if (this.disconnected) {
+				return Promise.reject(new Error('The analysis worker is gone'));
+			}
+			var id = ++this.sequence;
+			var timer;
+			return new Promise((resolve, reject) => {
+				timer = setTimeout(() => {
+					this.pending.delete(id);
+					reject(new Error('The analysis worker did not answer in time'));
+				}, this.timeout);
+				this.pending.set(id, {reply: reply, resolve: resolve, reject: reject});
+				this.port.postMessage(Object.assign({id: id}, message));
+			}).finally(() => clearTimeout(timer));
+		}
+
+		received(message) {
+			var request = this.pending.get(message.id);
+			if (!request || message.type !== request.reply) {
+				return;
+			}
+			this.pending.delete(message.id);
+			if (message.error) {
+				request.reject(new Error(message.error));
+			} else {
+				request.resolve(message);
+			}
+		}
+	}
+
+	function connect() {
+		return new RemoteDetector(chrome.runtime.connect({name: PORT_NAME}));
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.PORT_NAME = PORT_NAME;
+	exports.RemoteDetector = RemoteDetector;
+	exports.connect = connect;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,170 @@
+// Audits the tweets of a Twitter archive for typo URLs that are already out.
+//
+// Twitter's "Download an archive of your data" has every tweet in
+// data/tweets.js, a script that assigns them to window.YTD.tweets.part0 (or
+// window.YTD.tweet.part0 in older archives):
+//   window.YTD.tweets.part0 = [{"tweet": {"id_str": "...", "created_at":
+//     "Wed Oct 10 20:19:24 +0000 2018", "full_text": "Good for https://t.co/x...",
+//     "entities": {"urls": [{"url": "https://t.co/x...", "expanded_url":
+//     "http://you.you", "display_url": "you.you"}]}}}, ...]
+// The text has the t.co links Twitter made of the URLs, so the text as it was
+// typed is rebuilt from the URLs as Twitter displayed them, and only those
+// URLs are checked: whatever Twitter did not link cannot take anyone
+// anywhere. Retweets are someone else's text and are left out.
+//
+// A typo URL posted years ago is dangerous when its domain can be had now,
+// so every flagged URL is reported with whether its domain is registered
+// today (see rdap.js) and whether it has name servers.
+
+var Archive = (function(exports){
+
+	var PREFIX = /^\s*window\.YTD\.[\w$]+\.part\d+\s*=\s*/;
+	var TWEET_URL = 'https://twitter.com/i/web/status/';
+	// Tweets checked at the same time
+	var BATCH = 10;
+	var COLUMNS = ['date', 'id', 'url', 'verdict', 'probability', 'did_you_mean', 'registration', 'registered_on', 'name_servers', 'tweet', 'text'];
+
+	// The tweets of the text of data/tweets.js, oldest first:
+	//   [{id, date, text, urls}]
+	// date is an ISO date, text the tweet as it was typed and urls the URLs
+	// Twitter linked in it (null when the archive does not say)
+	function parse(text) {
+		var json = text.replace(PREFIX, '').replace(/;\s*$/, '');
+		var entries;
+		try {
+			entries = JSON.parse(json);
+		} catch (error) {
+			throw new Error('This is not the tweets.js of a Twitter archive: ' + error.message);
+		}
+		if (!Array.isArray(entries)) {
+			throw new Error('This is not the tweets.js of a Twitter archive: it has no list of tweets');
+		}
+		return entries.map((entry) => entry.tweet || entry)
+			.filter((tweet) => typeof (tweet.full_text || tweet.text) == 'string' && !/^RT @/.test(tweet.full_text || tweet.text))
+			.map((tweet) => Object.assign({id: tweet.id_str || String(tweet.id), date: dateOf(tweet.created_at)}, typed(tweet)))
+			.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+	}
+
+	function dateOf(createdAt) {
+		var time = Date.parse(createdAt);
+		return isNaN(time) ? null : new Date(time).toISOString();
+	}
+
+	// {text, urls} of a tweet as it was typed: its t.co links replaced by the
+	// URLs they stand for, its media links left out and its HTML entities
+	// decoded
+	function typed(tweet) {
+		var text = tweet.full_text || tweet.text;
+		var entities = tweet.entities;
+		var urls = entities ? new Array() : null;
+		(entities && entities.urls || []).forEach((entity) => {
+			var shown = displayed(entity);
+			text = text.split(entity.url).join(shown);
+			urls.push(shown);
+		});
+		var media = (entities && entities.media || []).concat(tweet.extended_entities && tweet.extended_entities.media || []);
+		media.forEach((entity) => {
+			text = text.split(entity.url).join('');
+		});
+		return {text: text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&').trim(), urls: urls};
+	}
+
+	// The URL as Twitter showed it; long ones it cut short with … are taken
+	// from the expanded URL
+	function displayed(entity) {
+		var display = entity.display_url || '';
+		if (display && !display.endsWith('…')) {
+			return display;
+		}
+		return (entity.expanded_url || entity.url).replace(/^https?:\/\//i, '');
+	}
+
+	// Runs detector (a TypoDetector.Detector or an Analysis.RemoteDetector)
+	// over tweets and resolves to a row per typo URL or lookalike, in tweet
+	// order:
+	//   {id, date, url, verdict, margin, probability, suggestion,
+	//    registration, nameServers, tweet, text}
+	// verdict is 'typo' or 'lookalike', suggestion the URL it looks like or
+	// null, registration as in rdap.js (null when the lookup failed),
+	// nameServers 'some' or 'none' as DNS answered, or null when it did not
+	// (the lookup failed, timed out or was not made, as offline), and tweet
+	// the address of the tweet. options.onProgress(done, total) hears
+	// how far the audit is.
+	function audit(detector, tweets, options) {
+		options = options || {};
+		var rows = new Array();
+		var next = (start) => {
+			if (start >= tweets.length) {
+				return Promise.resolve(rows);
+			}
+			var batch = tweets.slice(start, start + BATCH);
+			return Promise.all(batch.map((tweet) => auditTweet(detector, tweet))).then((found) => {
+				rows = rows.concat(...found);
+				if (options.onProgress) {
+					options.onProgress(start + batch.length, tweets.length);
+				}
+				return next(start + BATCH);
+			});
+		};
+		return next(0);
+	}
+
+	function auditTweet(detector, tweet) {
+		if (tweet.urls !== null && tweet.urls.length == 0) {
+			return Promise.resolve([]);
+		}
+		var options = tweet.urls ? {urls: Array.from(new Set(tweet.urls))} : {links: 'twitter'};
+		return detector.analyzeText(tweet.text, options).then((findings) => {
+			var flagged = findings.filter((finding) => finding.verdict == 1 || finding.lookalike);
+			return Promise.all(flagged.map((finding) => {
+				return detector.registration(finding.url).catch(() => null).then((registration) => ({
+					id: tweet.id,
+					date: tweet.date,
+					url: finding.url,
+					verdict: finding.verdict == 1 ? 'typo' : 'lookalike',
+					margin: finding.margin,
+					probability: finding.probability,
+					suggestion: finding.lookalike ? finding.lookalike.suggestion : null,
+					registration: registration,
+					nameServers: finding.nameServers == null ? null : finding.nameServers == 0 ? 'none' : 'some',
+					tweet: TWEET_URL + tweet.id,
+					text: tweet.text
+				}));
+			}));
+		});
+	}
+
+	// The rows of audit() as CSV (RFC 4180), with a header of COLUMNS
+	function toCSV(rows) {
+		var lines = [COLUMNS].concat(rows.map((row) => [
+			row.date || '',
+			row.id,
+			row.url,
+			row.verdict,
+			row.probability === null ? '' : row.probability.toFixed(3),
+			row.suggestion || '',
+			row.registration ? row.registration.status : 'unknown',
+			row.registration && row.registration.created ? row.registration.created.slice(0, 10) : '',
+			row.nameServers || 'unknown',
+			row.tweet,
+			row.text
+		]));
+		return lines.map((line) => line.map(csvField).join(',') + '\r\n').join('');
+	}
+
+	// Spreadsheets run fields that start with = + - or @ as formulas, so
+	// those start with a quote
+	function csvField(value) {
+		var text = String(value).replace(/^[=+\-@]/, "'$&");
+		return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.COLUMNS = COLUMNS;
+	exports.parse = parse;
+	exports.audit = audit;
+	exports.toCSV = toCSV;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,116 @@
+// Archive audit page: reads the data/tweets.js of a Twitter archive picked by
+// the user, runs the analysis worker over every tweet (see archive.js) and
+// shows the typo URLs already posted, with whether their domains are
+// registered today. The report is exported as CSV.
+
+var chooseButton = document.getElementById('choose');
+var archiveFile = document.getElementById('archive-file');
+var progress = document.getElementById('progress');
+var statusText = document.getElementById('status');
+var report = document.getElementById('report');
+var rowsView = document.getElementById('rows');
+
+var detector = null;
+// The rows of the last audit
+var rows = [];
+
+function connect() {
+	if (!detector || detector.disconnected) {
+		detector = Analysis.connect();
+	}
+	return detector;
+}
+
+function cell(row, text) {
+	var td = document.createElement('td');
+	td.textContent = text;
+	row.appendChild(td);
+	return td;
+}
+
+// What is known of the domain today
+function domainToday(row) {
+	var text = row.registration ? RDAP.describe(row.registration) : 'Could not find out whether the domain is registered.';
+	if (row.nameServers === 'none') {
+		text += ' It has no name servers.';
+	}
+	return text;
+}
+
+function showRows() {
+	rowsView.textContent = '';
+	rows.forEach((row) => {
+		var tr = document.createElement('tr');
+		var date = cell(tr, '');
+		var link = document.createElement('a');
+		link.href = row.tweet;
+		link.target = '_blank';
+		link.rel = 'noopener';
+		link.textContent = row.date ? row.date.slice(0, 10) : row.id;
+		date.appendChild(link);
+		cell(tr, row.url);
+		cell(tr, row.verdict === 'lookalike' ? 'Looks like ' + row.suggestion : 'Typo');
+		var today = cell(tr, domainToday(row));
+		if (row.registration && (row.registration.status === 'unregistered' || RDAP.isRecent(row.registration))) {
+			today.classList.add('warn');
+		}
+		rowsView.appendChild(tr);
+	});
+	report.hidden = rows.length == 0;
+}
+
+function audit(text) {
+	var tweets;
+	try {
+		tweets = Archive.parse(text);
+	} catch (error) {
+		statusText.textContent = error.message;
+		return;
+	}
+	chooseButton.disabled = true;
+	progress.value = 0;
+	progress.max = Math.max(tweets.length, 1);
+	progress.hidden = false;
+	statusText.textContent = 'Checking ' + tweets.length + ' tweets…';
+	Archive.audit(connect(), tweets, {onProgress: (done) => {
+		progress.value = done;
+	}}).then((found) => {
+		rows = found;
+		showRows();
+		statusText.textContent = rows.length == 0 ?
+			'No typo URLs in your ' + tweets.length + ' tweets.' :
+			'Found ' + rows.length + ' typo URL' + (rows.length == 1 ? '' : 's') + ' in your ' + tweets.length + ' tweets.';
+	}, (error) => {
+		statusText.textContent = 'The audit failed: ' + error.message;
+	}).then(() => {
+		chooseButton.disabled = false;
+		progress.hidden = true;
+	});
+}
+
+function download(text, type, name) {
+	var link = document.createElement('a');
+	link.href = URL.createObjectURL(new Blob([text], {type: type}));
+	link.download = name;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+chooseButton.addEventListener('click', () => {
+	archiveFile.value = '';
+	archiveFile.click();
+});
+
+archiveFile.addEventListener('change', () => {
+	var file = archiveFile.files[0];
+	if (!file) {
+		return;
+	}
+	file.text().then(audit, (error) => {
+		statusText.textContent = 'Could not read ' + file.name + ': ' + error.message;
+	});
+});
+
+document.getElementById('export').addEventListener('click', () => {
+	download(Archive.toCSV(rows), 'text/csv', 'typonomo-archive-audit.csv');
+});
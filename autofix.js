@@ -0,0 +1,145 @@
+// Fixes typo URLs in the composer.
+//
+// Draft.js, like the other editors sites use, keeps its own copy of the
+// text, so changing the DOM directly would be undone on the next render (or
+// posted without the fix). Instead the URL is selected and replaced with
+// document.execCommand('insertText'), which goes through the same
+// beforeinput/input events as typing, so the editor state stays in sync.
+// This works for textareas too. Undo replaces the fixed text with the
+// original the same way.
+
+var AutoFix = (function(exports){
+
+	var highlight = typeof require != 'undefined' ? require('./highlight.js') : self.Highlight;
+	var adapters = typeof require != 'undefined' ? require('./adapters.js') : self.Adapters;
+
+	// Every dot of the URL is fixed, so no shorter URL is left behind
+	// (fixing only one dot of "blind.you.re" would still leave "you.re").
+	var FIXES = {
+		space: {
+			label: 'Add a space after the dot',
+			apply: (url) => url.replace(/\./g, '. ')
+		},
+		removeDot: {
+			label: 'Remove the dot',
+			apply: (url) => url.replace(/\./g, '')
+		},
+		zeroWidth: {
+			label: 'Keep the dot, break the link',
+			apply: (url) => url.replace(/\./g, '.\u200B')
+		}
+	};
+	var DEFAULT_FIX = 'space';
+
+	// Index of the occurrence of needle in text closest to around, or -1
+	function findNear(text, needle, around) {
+		var best = -1;
+		for (var index = text.indexOf(needle); index != -1; index = text.indexOf(needle, index + 1)) {
+			if (best == -1 || Math.abs(index - around) < Math.abs(best - around)) {
+				best = index;
+			}
+		}
+		return best;
+	}
+
+	// The block element may have been re-rendered since the finding was made;
+	// Draft.js gives the same block the same data-offset-key.
+	function currentBlock(edit) {
+		if (edit.block.isConnected) {
+			return edit.block;
+		}
+		var key = edit.block.getAttribute('data-offset-key');
+		return key && edit.root ? edit.root.querySelector('[data-offset-key="' + key + '"]') : null;
+	}
+
+	function textOf(block) {
+		return adapters.isTextField(block) ? block.value : block.textContent;
+	}
+
+	function replaceInEditor(block, start, end, text) {
+		var document = block.ownerDocument;
+		if (adapters.isTextField(block)) {
+			block.focus();
+			block.setSelectionRange(start, end);
+			return document.execCommand('insertText', false, text);
+		}
+		var editor = block.closest('[contenteditable="true"]');
+		var range = highlight.rangeForOffsets(block, start, end);
+		if (!editor || !range) {
+			return false;
+		}
+		editor.focus();
+		var selection = document.getSelection();
+		selection.removeAllRanges();
+		selection.addRange(range);
+		return document.execCommand('insertText', false, text);
+	}
+
+	class AutoFixer {
+		// Fixes the URL of a finding. The finding needs block (the text block
+		// element or textarea it was found in) and may have blockOffset (where
+		// the block starts in the text of the finding, 0 by default) and root
+		// (the composer) to find the block again. Returns an edit to pass to
+		// undo(), or null.
+		fix(finding, kind) {
+			return this.replaceURL(finding, FIXES[kind || DEFAULT_FIX].apply(finding.url));
+		}
+
+		// Replaces the URL of a lookalike finding (see lookalike.js) with the
+		// same URL on the domain it looks like
+		useSuggestion(finding) {
+			return this.replaceURL(finding, finding.lookalike.suggestion);
+		}
+
+		// Fixes several findings with kind, the last one of each block first so
+		// that the offsets of the others are still right. Lookalikes get kind
+		// too: their suggestion is a guess, put in the post only when the user
+		// picks it (see useSuggestion()).
+		fixAll(findings, kind) {
+			return findings.slice()
+				.sort((a, b) => b.start - a.start)
+				.map((finding) => this.fix(finding, kind))
+				.filter((edit) => edit !== null);
+		}
+
+		replaceURL(finding, replacement) {
+			var edit = {
+				block: finding.block,
+				root: finding.root,
+				original: finding.url,
+				replacement: replacement,
+				// the protocol, if any, is left alone
+				start: finding.end - finding.url.length - (finding.blockOffset || 0)
+			};
+			return this.replace(edit, edit.original, edit.replacement) ? edit : null;
+		}
+
+		undo(edit) {
+			return this.replace(edit, edit.replacement, edit.original);
+		}
+
+		replace(edit, from, to) {
+			var block = currentBlock(edit);
+			if (!block) {
+				console.log('Cannot find the text to fix anymore:', from);
+				return false;
+			}
+			var start = findNear(textOf(block), from, edit.start);
+			if (start == -1) {
+				console.log('Cannot find the text to fix anymore:', from);
+				return false;
+			}
+			edit.block = block;
+			edit.start = start;
+			return replaceInEditor(block, start, start + from.length, to);
+		}
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.FIXES = FIXES;
+	exports.DEFAULT_FIX = DEFAULT_FIX;
+	exports.AutoFixer = AutoFixer;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,141 @@
+// Background page: shows on the toolbar badge when the content script could
+// not find a composer to protect on a tab, keeps the Public Suffix List fresh
+// and runs the analysis worker.
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+	if (message.type === 'composer-status' && sender.tab) {
+		chrome.browserAction.setBadgeText({
+			tabId: sender.tab.id,
+			text: message.status === 'missing' ? '!' : ''
+		});
+		chrome.browserAction.setBadgeBackgroundColor({tabId: sender.tab.id, color: '#E0245E'});
+		chrome.browserAction.setTitle({
+			tabId: sender.tab.id,
+			title: message.status === 'missing' ? 'TypoNoMo cannot find the post button on this page' : 'TypoNoMo'
+		});
+	}
+	// The log is written here, one change after the other, for every tab
+	if (message.type === 'decisions') {
+		Settings.load().then((settings) => Decisions.record(message.entries, settings.log)).catch((error) => {
+			console.warn('Could not log TypoNoMo decisions:', error.message);
+		});
+	}
+	// and so are the options page's corrections and clears, which are answered
+	if (Decisions.isChange(message)) {
+		Decisions.apply(message).then((entries) => sendResponse({entries: entries}), (error) => sendResponse({error: error.message}));
+		return true;
+	}
+});
+
+// Keeps the Public Suffix List fresh: the bundled copy goes stale as new
+// suffixes are added, so a newer one is downloaded once a week.
+function refreshPublicSuffixList() {
+	PSL.refreshStoredList().then((updated) => {
+		if (updated) {
+			console.log('Public Suffix List updated');
+		}
+	}, (error) => {
+		console.log('Could not update the Public Suffix List:', error.message);
+	});
+}
+
+chrome.runtime.onInstalled.addListener(refreshPublicSuffixList);
+chrome.runtime.onStartup.addListener(refreshPublicSuffixList);
+
+// The analysis worker (see worker.js), shared by every tab. Content scripts
+// connect to it through a port; while any port is open the background page,
+// and with it the worker and the loaded detector, stays in memory.
+var worker = null;
+var pending = new Map();
+var sequence = 0;
+// The worker's DNS cache, which outlives the worker and this page
+var dnsCache = DNS.chromeStorage();
+
+// What was stored, or fallback when it cannot be read: a broken store must
+// not keep the worker from loading, or every post would wait for it
+function loadedOr(loading, fallback, what) {
+	return loading.catch((error) => {
+		console.warn('Could not load the ' + what + ', using the default:', error.message);
+		return fallback;
+	});
+}
+
+function analysisWorker() {
+	if (worker) {
+		return worker;
+	}
+	worker = new Worker('worker.js');
+	worker.onmessage = (event) => {
+		var message = event.data;
+		if (message.type === 'loaded') {
+			console.log('Detector loaded:', message.words, 'words,', message.suffixes, 'public suffix rules');
+		} else if (message.type === 'error') {
+			console.error(message.message);
+		} else if (message.type === 'storage') {
+			var stored = message.op === 'set' ? dnsCache.set(message.key, message.value) : dnsCache[message.op](message.key);
+			stored.then((value) => {
+				worker.postMessage({type: 'storage', id: message.id, value: value});
+			}, (error) => {
+				worker.postMessage({type: 'storage', id: message.id, error: error.message});
+			});
+		} else if ((message.type === 'findings' || message.type === 'registration') && pending.has(message.id)) {
+			var request = pending.get(message.id);
+			pending.delete(message.id);
+			request.port.postMessage(Object.assign({}, message, {id: request.id}));
+		}
+	};
+	Promise.all([
+		loadedOr(PSL.loadStoredList(), null, 'stored Public Suffix List'),
+		loadedOr(Settings.load(), Settings.defaults(), 'settings'),
+		loadedOr(Lexicon.load(), Lexicon.emptyLists(), 'word lists')
+	]).then(([stored, settings, wordLists]) => {
+		worker.postMessage({type: 'load', psl: stored ? stored.text : null, settings: settings, wordLists: wordLists});
+	});
+	return worker;
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+	if (port.name !== Analysis.PORT_NAME) {
+		return;
+	}
+	var analyzer = analysisWorker();
+	port.onMessage.addListener((message) => {
+		// Requests of different tabs get ids of their own on the way to the worker
+		var id = ++sequence;
+		pending.set(id, {port: port, id: message.id});
+		analyzer.postMessage(Object.assign({}, message, {id: id}));
+	});
+	port.onDisconnect.addListener(() => {
+		pending.forEach((request, id) => {
+			if (request.port === port) {
+				pending.delete(id);
+			}
+		});
+	});
+});
+
+// Drops the logged decisions that are past log's limits
+function pruneDecisions(log) {
+	return Decisions.record([], log).catch((error) => {
+		console.warn('Could not prune the TypoNoMo decision log:', error.message);
+	});
+}
+
+// Decisions past the days to keep them are dropped whenever the page wakes
+Settings.load().then((settings) => pruneDecisions(settings.log), (error) => {
+	console.warn('Could not load the TypoNoMo settings:', error.message);
+});
+
+Settings.onChanged((settings) => {
+	// lower limits apply to the decisions already logged
+	pruneDecisions(settings.log);
+	if (worker) {
+		worker.postMessage({type: 'configure', settings: settings});
+	}
+});
+
+Lexicon.onChanged((wordLists) => {
+	if (worker) {
+		worker.postMessage({type: 'configure', settings: {wordLists: wordLists}});
+	}
+});
@@ -0,0 +1,191 @@
+// Turns SVM margins into probabilities that a URL is a typo.
+//
+// A margin says which side of the boundary a URL is on and how far, but not
+// how often URLs that far out are really typos. Calibration learns that from
+// margins the model gave to labeled URLs it was not trained on (train.js uses
+// the held-out folds of cross-validation) and is stored in the model JSON as
+//   "calibration": {"method": "platt", "A": -1.7, "B": 0.3}
+// or
+//   "calibration": {"method": "isotonic", "margins": [...], "probabilities": [...]}
+//
+// Platt scaling fits a sigmoid 1 / (1 + exp(A * margin + B)); this is the
+// Newton method with backtracking of Lin, Lin and Weng, "A note on Platt's
+// probabilistic outputs for support vector machines" (2007). Isotonic
+// regression fits any non-decreasing step function (pool adjacent violators)
+// and needs more data to be reliable.
+
+var Calibration = (function(exports){
+
+	var METHODS = ['platt', 'isotonic'];
+
+	// Probabilities at which a flagged URL gets an inline hint only, or the
+	// warning dialog (see band()).
+	var DEFAULT_BANDS = {hint: 0.5, dialog: 0.8};
+
+	// labels are 1 for typo URLs and -1 for the others
+	function fitPlatt(margins, labels) {
+		var positives = labels.filter((label) => label > 0).length;
+		var negatives = labels.length - positives;
+		// targets are pulled away from 0 and 1 so that the fit does not overfit
+		var hiTarget = (positives + 1) / (positives + 2);
+		var loTarget = 1 / (negatives + 2);
+		var targets = labels.map((label) => label > 0 ? hiTarget : loTarget);
+
+		var objective = (A, B) => {
+			var value = 0;
+			margins.forEach((margin, i) => {
+				var fApB = margin * A + B;
+				if (fApB >= 0) {
+					value += targets[i] * fApB + Math.log(1 + Math.exp(-fApB));
+				} else {
+					value += (targets[i] - 1) * fApB + Math.log(1 + Math.exp(fApB));
+				}
+			});
+			return value;
+		};
+
+		var A = 0;
+		var B = Math.log((negatives + 1) / (positives + 1));
+		var value = objective(A, B);
+		var sigma = 1e-12;
+		for (var iteration = 0; iteration < 100; iteration++) {
+			var h11 = sigma, h22 = sigma, h21 = 0, g1 = 0, g2 = 0;
+			margins.forEach((margin, i) => {
+				var fApB = margin * A + B;
+				var p, q;
+				if (fApB >= 0) {
+					p = Math.exp(-fApB) / (1 + Math.exp(-fApB));
+					q = 1 / (1 + Math.exp(-fApB));
+				} else {
+					p = 1 / (1 + Math.exp(fApB));
+					q = Math.exp(fApB) / (1 + Math.exp(fApB));
+				}
+				var d2 = p * q;
+				h11 += margin * margin * d2;
+				h22 += d2;
+				h21 += margin * d2;
+				var d1 = targets[i] - p;
+				g1 += margin * d1;
+				g2 += d1;
+			});
+			if (Math.abs(g1) < 1e-5 && Math.abs(g2) < 1e-5) {
+				break;
+			}
+			var det = h11 * h22 - h21 * h21;
+			var dA = -(h22 * g1 - h21 * g2) / det;
+			var dB = -(-h21 * g1 + h11 * g2) / det;
+			var gd = g1 * dA + g2 * dB;
+			var step = 1;
+			while (step >= 1e-10) {
+				var newValue = objective(A + step * dA, B + step * dB);
+				if (newValue < value + 0.0001 * step * gd) {
+					A += step * dA;
+					B += step * dB;
+					value = newValue;
+					break;
+				}
+				step /= 2;
+			}
+			if (step < 1e-10) {
+				break;
+			}
+		}
+		return {method: 'platt', A: A, B: B};
+	}
+
+	// Pool adjacent violators over the margins in increasing order. Each pool
+	// is kept as its mean margin and its share of typo URLs.
+	function fitIsotonic(margins, labels) {
+		var order = margins.map((margin, i) => i).sort((a, b) => margins[a] - margins[b]);
+		var pools = new Array();
+		order.forEach((i) => {
+			pools.push({margin: margins[i], probability: labels[i] > 0 ? 1 : 0, weight: 1});
+			while (pools.length > 1 && pools[pools.length - 2].probability >= pools[pools.length - 1].probability) {
+				var last = pools.pop();
+				var previous = pools[pools.length - 1];
+				var weight = previous.weight + last.weight;
+				previous.margin = (previous.margin * previous.weight + last.margin * last.weight) / weight;
+				previous.probability = (previous.probability * previous.weight + last.probability * last.weight) / weight;
+				previous.weight = weight;
+			}
+		});
+		return {
+			method: 'isotonic',
+			margins: pools.map((pool) => pool.margin),
+			probabilities: pools.map((pool) => pool.probability)
+		};
+	}
+
+	function fit(method, margins, labels) {
+		if (method === 'platt') {
+			return fitPlatt(margins, labels);
+		}
+		if (method === 'isotonic') {
+			return fitIsotonic(margins, labels);
+		}
+		throw new Error('Unknown calibration method ' + method);
+	}
+
+	// Probability that a URL with this margin is a typo
+	function probability(calibration, margin) {
+		if (calibration.method === 'platt') {
+			var fApB = margin * calibration.A + calibration.B;
+			return fApB >= 0 ? Math.exp(-fApB) / (1 + Math.exp(-fApB)) : 1 / (1 + Math.exp(fApB));
+		}
+		if (calibration.method === 'isotonic') {
+			// linear between the pools, flat beyond the first and the last
+			var xs = calibration.margins;
+			var ys = calibration.probabilities;
+			if (margin <= xs[0]) {
+				return ys[0];
+			}
+			for (var i = 1; i < xs.length; i++) {
+				if (margin <= xs[i]) {
+					return ys[i - 1] + (ys[i] - ys[i - 1]) * (margin - xs[i - 1]) / (xs[i] - xs[i - 1]);
+				}
+			}
+			return ys[ys.length - 1];
+		}
+		throw new Error('Unknown calibration method ' + calibration.method);
+	}
+
+	// Checks the calibration of a model JSON. Returns it, or null when the
+	// model has none.
+	function fromModel(model) {
+		var calibration = model.calibration;
+		if (!calibration) {
+			return null;
+		}
+		if (calibration.method === 'platt' && isFinite(calibration.A) && isFinite(calibration.B)) {
+			return calibration;
+		}
+		if (calibration.method === 'isotonic' && Array.isArray(calibration.margins) && calibration.margins.length > 0 &&
+			Array.isArray(calibration.probabilities) && calibration.probabilities.length == calibration.margins.length) {
+			return calibration;
+		}
+		throw new Error('The calibration of the model is not valid');
+	}
+
+	// 'none' below bands.hint, 'hint' (inline underline only) below
+	// bands.dialog and 'dialog' (the warning) from there on
+	function band(probability, bands) {
+		bands = bands || DEFAULT_BANDS;
+		if (probability >= bands.dialog) {
+			return 'dialog';
+		}
+		return probability >= bands.hint ? 'hint' : 'none';
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.METHODS = METHODS;
+	exports.DEFAULT_BANDS = DEFAULT_BANDS;
+	exports.fitPlatt = fitPlatt;
+	exports.fitIsotonic = fitIsotonic;
+	exports.fit = fit;
+	exports.probability = probability;
+	exports.fromModel = fromModel;
+	exports.band = band;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
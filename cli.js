@@ -0,0 +1,455 @@
+// Command-line scanner: runs the detector over posts stored in files.
+//
+//   node cli.js [options] <file>...
+//
+// Options:
+//   --format text|csv|jsonl|archive
+//                            how to read the files; by default guessed from the
+//                            extension. Plain text has one post per line,
+//                            archive is the data/tweets.js of a Twitter archive.
+//   --field <name>           CSV column or JSONL field that holds the post text
+//                            (default "text"); "id" is reported when present
+//   --output table|json|csv  output format (default table); csv is for archives
+//   --all                    report every URL found, not only typo URLs and
+//                            lookalikes of popular domains
+//   --explain                say which features made the model flag each URL
+//   --links twitter          find only the URLs Twitter would link, by its
+//                            rules (linkify.js), instead of everything that
+//                            looks like a URL
+//   --language <code>        the language of every post (en, es, de or tr);
+//                            by default it is detected post by post
+//   --timing                 print the time each post took, stage by stage,
+//                            against the latency budget of timing.js
+//   --words <file>           base word list (default words.txt next to cli.js)
+//   --word-list <file>       a team word list on top of it, one word per line;
+//                            may be given more than once
+//   --never-words <file>     words that never count as words
+//   --model <file>           model JSON (default created_model.json)
+//   --psl <file>             a newer public_suffix_list.dat
+//   --domains <file>         popular domains to find lookalikes of, one per
+//                            line (default domains.txt next to cli.js)
+//   --dns-endpoint <url>     DNS-over-HTTPS server for the NS feature
+//   --dns-format json|wire   protocol of that server (default json)
+//   --zones <file>           answer DNS lookups from this table instead
+//   --offline                no DNS or RDAP lookups; every URL gets the NS
+//                            fallback and an unknown registration status
+//   --registration           look up whether the domain of every typo URL and
+//                            lookalike is registered, and since when (RDAP)
+//   --rdap-bootstrap <url>   RDAP bootstrap registry to find the registries'
+//                            servers in (default IANA's)
+//   --rdap-domains <file>    answer RDAP lookups from this table instead
+//   --settings <file>        settings exported from the options page: their
+//                            threshold, bands, allowlist, blocklist and
+//                            brands apply
+//
+// Twitter archives are audited instead of scanned (archive.js): every URL
+// Twitter linked in a tweet is checked, and each typo URL and lookalike is
+// reported with the tweet's date and whether its domain is registered today.
+// --all, --explain, --links and --timing do not apply to them, and they
+// cannot be mixed with other files.
+//
+//   node cli.js --output csv data/tweets.js > report.csv
+//
+// The exit status is 1 when a typo URL or lookalike was found, 2 on usage
+// errors.
+
+var fs = require('fs');
+var path = require('path');
+var DNS = require('./dns.js');
+var RDAP = require('./rdap.js');
+var TypoDetector = require('./detector.js');
+var Explain = require('./explain.js');
+var ResourceLoaders = require('./loaders.js');
+var Settings = require('./settings.js');
+var Timing = require('./timing.js');
+var Lexicon = require('./lexicon.js');
+var Languages = require('./languages.js');
+var Archive = require('./archive.js');
+
+var FORMATS = ['text', 'csv', 'jsonl', 'archive'];
+var OUTPUTS = ['table', 'json', 'csv'];
+var DNS_FORMATS = ['json', 'wire'];
+// Posts analyzed at the same time, so that a large file does not start a
+// DNS lookup for every URL at once
+var BATCH = 10;
+
+function parseArgs(args) {
+	var options = {files: [], field: 'text', output: 'table', all: false, wordList: []};
+	var valued = ['--format', '--field', '--output', '--links', '--language', '--words', '--word-list', '--never-words', '--psl', '--domains', '--model', '--dns-endpoint', '--dns-format', '--zones', '--rdap-bootstrap', '--rdap-domains', '--settings'];
+	for (var i = 0; i < args.length; i++) {
+		var arg = args[i];
+		if (valued.includes(arg)) {
+			if (i + 1 >= args.length) {
+				throw new Error(arg + ' needs a value');
+			}
+			var name = arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+			if (arg === '--word-list') {
+				options.wordList.push(args[++i]);
+			} else {
+				options[name] = args[++i];
+			}
+		} else if (arg === '--all') {
+			options.all = true;
+		} else if (arg === '--explain') {
+			options.explain = true;
+		} else if (arg === '--timing') {
+			options.timing = true;
+		} else if (arg === '--offline') {
+			options.offline = true;
+		} else if (arg === '--registration') {
+			options.registration = true;
+		} else if (arg.startsWith('--')) {
+			throw new Error('Unknown option ' + arg);
+		} else {
+			options.files.push(arg);
+		}
+	}
+	if (options.files.length == 0) {
+		throw new Error('No input files');
+	}
+	if (options.format && !FORMATS.includes(options.format)) {
+		throw new Error('Unknown format ' + options.format + '; use one of ' + FORMATS.join(', '));
+	}
+	if (!OUTPUTS.includes(options.output)) {
+		throw new Error('Unknown output ' + options.output + '; use one of ' + OUTPUTS.join(', '));
+	}
+	if (options.dnsFormat && !DNS_FORMATS.includes(options.dnsFormat)) {
+		throw new Error('Unknown DNS format ' + options.dnsFormat + '; use one of ' + DNS_FORMATS.join(', '));
+	}
+	if (options.links && options.links !== 'twitter') {
+		throw new Error('Unknown link rules ' + options.links + '; use twitter');
+	}
+	var archives = options.files.filter((file) => (options.format || guessFormat(file)) === 'archive');
+	if (archives.length > 0 && archives.length < options.files.length) {
+		throw new Error('Twitter archives cannot be scanned together with other files');
+	}
+	options.archive = archives.length > 0;
+	if (options.output === 'csv' && !options.archive) {
+		throw new Error('--output csv is only for Twitter archives');
+	}
+	if (options.language && !Languages.LANGUAGES[options.language]) {
+		throw new Error('Unknown language ' + options.language + '; use one of ' + Object.keys(Languages.LANGUAGES).join(', '));
+	}
+	return options;
+}
+
+function guessFormat(file) {
+	var extension = path.extname(file).toLowerCase();
+	if (extension === '.csv') {
+		return 'csv';
+	}
+	if (extension === '.jsonl' || extension === '.ndjson') {
+		return 'jsonl';
+	}
+	// data/tweets.js of a Twitter archive
+	if (extension === '.js') {
+		return 'archive';
+	}
+	return 'text';
+}
+
+// Reads a file into a list of posts: {source, id, text}
+function readPosts(file, format, field) {
+	var content = fs.readFileSync(file, 'utf8');
+	var posts = new Array();
+	if (format === 'csv') {
+		var rows = parseCSV(content);
+		var header = rows.shift() || [];
+		var column = header.indexOf(field);
+		if (column == -1) {
+			throw new Error(file + ' has no column named ' + field);
+		}
+		var idColumn = header.indexOf('id');
+		rows.forEach((row, i) => {
+			posts.push({source: file + ':' + (i + 2), id: idColumn == -1 ? null : row[idColumn], text: row[column] || ''});
+		});
+	} else if (format === 'jsonl') {
+		content.split(/\r?\n/).forEach((line, i) => {
+			if (line.trim() === '') {
+				return;
+			}
+			var record = JSON.parse(line);
+			posts.push({source: file + ':' + (i + 1), id: record.id === undefined ? null : record.id, text: String(record[field] || '')});
+		});
+	} else {
+		content.split(/\r?\n/).forEach((line, i) => {
+			if (line.trim() !== '') {
+				posts.push({source: file + ':' + (i + 1), id: null, text: line});
+			}
+		});
+	}
+	return posts;
+}
+
+// RFC 4180: fields separated by commas, quoted with double quotes, quotes
+// escaped by doubling them. Quoted fields may span lines.
+function parseCSV(content) {
+	var rows = new Array();
+	var row = new Array();
+	var field = '';
+	var quoted = false;
+	for (var i = 0; i < content.length; i++) {
+		var c = content[i];
+		if (quoted) {
+			if (c === '"' && content[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (c === '"') {
+				quoted = false;
+			} else {
+				field += c;
+			}
+		} else if (c === '"') {
+			quoted = true;
+		} else if (c === ',') {
+			row.push(field);
+			field = '';
+		} else if (c === '\n' || c === '\r') {
+			if (c === '\r' && content[i + 1] === '\n') {
+				i++;
+			}
+			row.push(field);
+			rows.push(row);
+			row = new Array();
+			field = '';
+		} else {
+			field += c;
+		}
+	}
+	if (field !== '' || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+	return rows;
+}
+
+function createResolver(options) {
+	if (options.offline) {
+		return DNS.createResolver({resolver: {query: () => Promise.resolve(null)}, storage: false});
+	}
+	if (options.zones) {
+		var zones = JSON.parse(fs.readFileSync(options.zones, 'utf8'));
+		return DNS.createResolver({resolver: new DNS.FakeResolver(zones), storage: false});
+	}
+	return DNS.createResolver({endpoint: options.dnsEndpoint, format: options.dnsFormat});
+}
+
+function createRdapClient(options) {
+	if (options.offline) {
+		return RDAP.createClient({client: {lookup: (domain) => Promise.resolve({domain: domain, status: 'unknown', created: null, expires: null, registrar: null})}, storage: false});
+	}
+	if (options.rdapDomains) {
+		var records = JSON.parse(fs.readFileSync(options.rdapDomains, 'utf8'));
+		return RDAP.createClient({client: new RDAP.FakeRdapClient(records), storage: false});
+	}
+	return RDAP.createClient({bootstrap: options.rdapBootstrap});
+}
+
+// The REGISTERED column: "no", the creation date, "yes" without one, or "?"
+function formatRegistration(registration) {
+	if (!registration) {
+		return '';
+	}
+	if (registration.status === 'registered') {
+		return registration.created ? registration.created.slice(0, 10) : 'yes';
+	}
+	return registration.status === 'unregistered' ? 'no' : '?';
+}
+
+// registration adds the REGISTERED column
+function formatTable(results, registration) {
+	var rows = [['SOURCE', 'ID', 'URL', 'OFFSET', 'MARGIN', 'PROBABILITY', 'VERDICT', 'DID YOU MEAN'].concat(registration ? ['REGISTERED'] : [])];
+	results.forEach((result) => {
+		rows.push([
+			result.source,
+			result.id === null ? '' : String(result.id),
+			result.url,
+			result.start + '-' + result.end,
+			result.margin === null ? '' : result.margin.toFixed(3),
+			result.probability === null ? '' : result.probability.toFixed(3),
+			result.verdict == 1 ? 'TYPO' : result.lookalike ? 'LOOKALIKE' : 'ok',
+			result.lookalike ? result.lookalike.suggestion : ''
+		].concat(registration ? [formatRegistration(result.registration)] : []));
+	});
+	return alignColumns(rows);
+}
+
+// The rows of Archive.audit()
+function formatAudit(results) {
+	var rows = [['DATE', 'ID', 'URL', 'VERDICT', 'PROBABILITY', 'DID YOU MEAN', 'REGISTERED', 'NAME SERVERS']];
+	results.forEach((result) => {
+		rows.push([
+			result.date ? result.date.slice(0, 10) : '',
+			result.id,
+			result.url,
+			result.verdict.toUpperCase(),
+			result.probability === null ? '' : result.probability.toFixed(3),
+			result.suggestion || '',
+			formatRegistration(result.registration) || '?',
+			result.nameServers || '?'
+		]);
+	});
+	return alignColumns(rows);
+}
+
+function alignColumns(rows) {
+	var widths = rows[0].map((cell, column) => Math.max.apply(null, rows.map((row) => row[column].length)));
+	return rows.map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()).join('\n') + '\n';
+}
+
+function formatExplanations(results) {
+	return results.filter((result) => result.explanation).map((result) => {
+		var lines = ['', result.source + ' ' + result.url + ' (margin ' + result.explanation.margin.toFixed(3) + ')'];
+		return lines.concat(Explain.format(result.explanation).map((line) => '  ' + line)).join('\n');
+	}).join('\n') + '\n';
+}
+
+function main(args) {
+	var options;
+	try {
+		options = parseArgs(args);
+	} catch (error) {
+		console.error(error.message);
+		console.error('Usage: node cli.js [--format text|csv|jsonl|archive] [--output table|json|csv] [--all] [--explain] [--timing] [--registration] <file>...');
+		return Promise.resolve(2);
+	}
+
+	var loaderOptions = {resolver: createResolver(options), rdap: createRdapClient(options)};
+	if (options.words) {
+		loaderOptions.words = path.resolve(options.words);
+	}
+	if (options.model) {
+		loaderOptions.model = path.resolve(options.model);
+	}
+	if (options.psl) {
+		loaderOptions.suffixes = path.resolve(options.psl);
+	}
+	if (options.domains) {
+		loaderOptions.domains = path.resolve(options.domains);
+	}
+	if (options.wordList.length > 0 || options.neverWords) {
+		try {
+			loaderOptions.wordLists = Lexicon.normalizeLists({
+				team: options.wordList.map((file) => ({name: path.basename(file), words: Lexicon.parseList(fs.readFileSync(file, 'utf8'))})),
+				never: options.neverWords ? Lexicon.parseList(fs.readFileSync(options.neverWords, 'utf8')) : []
+			});
+		} catch (error) {
+			console.error(error.message);
+			return Promise.resolve(2);
+		}
+	}
+	if (options.settings) {
+		var settings;
+		try {
+			settings = Settings.importJSON(fs.readFileSync(options.settings, 'utf8'));
+		} catch (error) {
+			console.error(options.settings + ': ' + error.message);
+			return Promise.resolve(2);
+		}
+		loaderOptions.threshold = settings.threshold;
+		loaderOptions.allowlist = settings.allowlist;
+		loaderOptions.blocklist = settings.blocklist;
+		loaderOptions.bands = settings.bands;
+		loaderOptions.brands = settings.brands;
+	}
+
+	return TypoDetector.loadDetector(ResourceLoaders.fileLoader(), loaderOptions).then((detector) => {
+		if (options.archive) {
+			return auditArchives(detector, options);
+		}
+		var posts = new Array();
+		options.files.forEach((file) => {
+			posts = posts.concat(readPosts(file, options.format || guessFormat(file), options.field));
+		});
+
+		return inBatches(posts, (post) => {
+			var timer = new Timing.Timer();
+			return detector.analyzeText(post.text, {timer: timer, language: options.language, links: options.links}).then((findings) => {
+				// on stderr, so that it never ends up in the report
+				if (options.timing) {
+					console.error(Timing.report(post.source, timer.toJSON()));
+				}
+				return findings.map((finding) => Object.assign({source: post.source, id: post.id}, finding));
+			});
+		}).then((perPost) => {
+			var results = [].concat(...perPost);
+			var typos = results.filter((result) => result.verdict == 1 || result.lookalike);
+			var reported = options.all ? results : typos;
+			if (options.explain) {
+				reported.forEach((result) => {
+					result.explanation = detector.explain(result);
+				});
+			}
+			// only what was flagged is looked up
+			var registrations = options.registration ? inBatches(typos, (result) => {
+				return detector.registration(result.url).then((registration) => {
+					result.registration = registration;
+				});
+			}) : Promise.resolve();
+			return registrations.then(() => {
+				if (options.output === 'json') {
+					process.stdout.write(JSON.stringify(reported, null, 2) + '\n');
+				} else {
+					process.stdout.write(formatTable(reported, options.registration));
+					if (options.explain) {
+						process.stdout.write(formatExplanations(reported));
+					}
+				}
+				return typos.length > 0 ? 1 : 0;
+			});
+		});
+	});
+}
+
+// Resolves to run(item) of every item, in order, running BATCH at a time
+function inBatches(items, run) {
+	var results = new Array();
+	var next = (start) => {
+		if (start >= items.length) {
+			return Promise.resolve(results);
+		}
+		return Promise.all(items.slice(start, start + BATCH).map(run)).then((done) => {
+			results.push(...done);
+			return next(start + BATCH);
+		});
+	};
+	return next(0);
+}
+
+// Audits the tweets of every archive in options.files
+function auditArchives(detector, options) {
+	var tweets = new Array();
+	try {
+		options.files.forEach((file) => {
+			try {
+				tweets = tweets.concat(Archive.parse(fs.readFileSync(file, 'utf8')));
+			} catch (error) {
+				throw new Error(file + ': ' + error.message);
+			}
+		});
+	} catch (error) {
+		console.error(error.message);
+		return 2;
+	}
+	return Archive.audit(detector, tweets).then((rows) => {
+		if (options.output === 'json') {
+			process.stdout.write(JSON.stringify(rows, null, 2) + '\n');
+		} else if (options.output === 'csv') {
+			process.stdout.write(Archive.toCSV(rows));
+		} else {
+			process.stdout.write(formatAudit(rows));
+		}
+		return rows.length > 0 ? 1 : 0;
+	});
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2)).then((status) => {
+		process.exitCode = status;
+	}, (error) => {
+		console.error(error.message);
+		process.exitCode = 2;
+	});
+}
+
+module.exports = {main: main, parseCSV: parseCSV, readPosts: readPosts, createResolver: createResolver, createRdapClient: createRdapClient, inBatches: inBatches};
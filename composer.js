@@ -0,0 +1,144 @@
+// Finds the composers on the page and intercepts their submit paths, both
+// the submit button and the Ctrl/Cmd+Enter shortcut.
+//
+// What a composer looks like on a given site is up to its adapter (see
+// adapters.js). On Twitter this covers the compose dialog, the reply and
+// quote dialogs, the inline composer on the home timeline and inline replies.
+
+var Composer = (function(exports){
+
+	// The composers of the page, one per root: [{kind, root, submit}]
+	function findComposers(adapter, root) {
+		var composers = new Array();
+		root.querySelectorAll(adapter.editorSelector).forEach((editor) => {
+			var composer = adapter.composerFor(editor);
+			if (composer && !composers.some((known) => known.root === composer.root)) {
+				composers.push(composer);
+			}
+		});
+		return composers;
+	}
+
+	// Watches the page for composers. onSubmit(composer, resubmit) is called
+	// instead of posting; calling resubmit() posts for real. onStatus(status)
+	// hears 'found' when a composer is hooked and 'missing' when there is an
+	// editor but no submit button we recognize.
+	class ComposerWatcher {
+		constructor(document, adapter, handlers) {
+			this.document = document;
+			this.adapter = adapter;
+			this.onSubmit = handlers.onSubmit;
+			this.onStatus = handlers.onStatus || (() => {});
+			this.hooked = new WeakSet();
+			this.passing = false;
+			this.status = null;
+			this.scheduled = false;
+			this.observer = new MutationObserver(() => this.scheduleScan());
+		}
+
+		start() {
+			this.observer.observe(this.document.body, {childList: true, subtree: true});
+			this.document.addEventListener('keydown', (event) => this.keyPressed(event), true);
+			this.scan();
+		}
+
+		stop() {
+			this.observer.disconnect();
+		}
+
+		// Mutations come in bursts while React renders; scan at most every 100 ms.
+		scheduleScan() {
+			if (this.scheduled) {
+				return;
+			}
+			this.scheduled = true;
+			setTimeout(() => {
+				this.scheduled = false;
+				this.scan();
+			}, 100);
+		}
+
+		scan() {
+			var editors = this.document.querySelectorAll(this.adapter.editorSelector);
+			var composers = findComposers(this.adapter, this.document);
+			composers.forEach((composer) => {
+				if (!this.hooked.has(composer.submit)) {
+					this.hooked.add(composer.submit);
+					composer.submit.addEventListener('click', (event) => this.submitClicked(event), true);
+				}
+			});
+			if (composers.length > 0) {
+				this.report('found', composers.length + ' composer(s): ' + composers.map((composer) => composer.kind).join(', '));
+			} else if (editors.length > 0 && this.adapter.reportMissing) {
+				this.report('missing', 'found an editor but no submit button with ' + this.adapter.submitSelector);
+			}
+		}
+
+		report(status, detail) {
+			if (status !== this.status) {
+				this.status = status;
+				if (status === 'missing') {
+					console.warn('TypoNoMo cannot protect this post on ' + this.adapter.name + ':', detail);
+				} else {
+					console.log('TypoNoMo', this.adapter.name, status + ':', detail);
+				}
+				this.onStatus(status);
+			}
+		}
+
+		submitClicked(event) {
+			if (this.passing) {
+				return;
+			}
+			var composer = this.adapter.composerFor(event.currentTarget);
+			if (!composer) {
+				this.report('missing', 'the clicked submit button is not in a composer');
+				return;
+			}
+			// a real submit button would also submit its form
+			event.stopPropagation();
+			event.preventDefault();
+			this.onSubmit(composer, () => this.passThrough(() => this.adapter.submit(composer)));
+		}
+
+		keyPressed(event) {
+			if (this.passing || event.key !== 'Enter' || !(event.ctrlKey || event.metaKey)) {
+				return;
+			}
+			var editor = event.target.closest && event.target.closest(this.adapter.editorSelector);
+			if (!editor) {
+				return;
+			}
+			var composer = this.adapter.composerFor(editor);
+			if (!composer) {
+				if (this.adapter.reportMissing) {
+					this.report('missing', 'Ctrl/Cmd+Enter in an editor without a submit button');
+				}
+				return;
+			}
+			event.stopPropagation();
+			event.preventDefault();
+			this.onSubmit(composer, () => this.passThrough(() => this.adapter.submit(composer)));
+		}
+
+		// Posts without being intercepted. The element's own click must have
+		// finished dispatching first, or click() does nothing.
+		passThrough(post) {
+			setTimeout(() => {
+				this.passing = true;
+				try {
+					post();
+				} finally {
+					this.passing = false;
+				}
+			}, 0);
+		}
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.findComposers = findComposers;
+	exports.ComposerWatcher = ComposerWatcher;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
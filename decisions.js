@@ -0,0 +1,192 @@
+// What the user decided about each warning, as labeled data for retraining.
+//
+// Every typo URL the warning showed is logged with its features and the
+// model's verdict, and what the user did about it:
+//   fixed      fixed it with its Fix button
+//   fix-all    fixed it with "Fix all and post"
+//   continue   posted it as it was
+//   cancel     went back to the post
+// On the options page the user can correct any entry as "is a typo" or "not a
+// typo", and export the log as a corpus for train.js. Only the background
+// page writes the log: the options page sends it corrections and clears as
+// messages (see correct() and clear()), so that one queue, and not one per
+// page, has the log read and written back. The log is kept in
+// chrome.storage.local only, never synced or sent anywhere, and holds at most
+// the number of entries and days set in the settings (see settings.js):
+//   [{id, time, site, text, start, end, url, features, margin, probability,
+//     lookalike, verdict, band, decision, correction}]
+
+var Decisions = (function(exports){
+
+	var STORAGE_KEY = 'decisions';
+	var DECISIONS = ['fixed', 'fix-all', 'continue', 'cancel'];
+	var DAY = 24 * 60 * 60 * 1000;
+
+	// One entry per finding shown in the warning; choice is what the warning
+	// closed with (see dialog.js) and site the adapter id
+	function entriesFor(findings, choice, site) {
+		var time = Date.now();
+		return findings.map((finding, i) => ({
+			id: time.toString(36) + '-' + i + '-' + Math.random().toString(36).slice(2, 8),
+			time: time,
+			site: site,
+			text: finding.text,
+			start: finding.start,
+			end: finding.end,
+			url: finding.url,
+			features: finding.features,
+			margin: finding.margin,
+			probability: finding.probability,
+			lookalike: finding.lookalike || null,
+			verdict: finding.verdict,
+			band: finding.band,
+			decision: finding.edit ? 'fixed' : choice,
+			correction: null
+		}));
+	}
+
+	// 1 when entry is a typo URL, -1 when it is intended and null when that is
+	// not known: the user's correction first, then what they did. Cancelling
+	// tells nothing, the post may have been changed in any way.
+	function labelOf(entry) {
+		if (entry.correction === 1 || entry.correction === -1) {
+			return entry.correction;
+		}
+		if (entry.decision === 'fixed' || entry.decision === 'fix-all') {
+			return 1;
+		}
+		return entry.decision === 'continue' ? -1 : null;
+	}
+
+	// Drops what is past limits {days, entries}, oldest first
+	function prune(entries, limits, now) {
+		var oldest = (now || Date.now()) - limits.days * DAY;
+		var kept = entries.filter((entry) => entry.time >= oldest);
+		return limits.entries > 0 ? kept.slice(-limits.entries) : [];
+	}
+
+	// The labeled entries in the corpus format of train.js, one post per line:
+	//   {"text": "...", "urls": [{"start": 9, "end": 16, "label": 1}]}
+	// Lookalikes of popular domains are left out unless the model flagged them
+	// too: they are not what the model learns to find.
+	function toCorpus(entries) {
+		var posts = new Map();
+		entries.forEach((entry) => {
+			var label = labelOf(entry);
+			if (label === null || typeof entry.text != 'string' || (entry.lookalike && entry.verdict != 1)) {
+				return;
+			}
+			if (!posts.has(entry.text)) {
+				posts.set(entry.text, {text: entry.text, urls: new Array()});
+			}
+			var urls = posts.get(entry.text).urls;
+			if (!urls.some((url) => url.start === entry.start)) {
+				urls.push({start: entry.start, end: entry.end, label: label});
+			}
+		});
+		return Array.from(posts.values()).map((post) => JSON.stringify(post) + '\n').join('');
+	}
+
+	function hasLocalStorage() {
+		return typeof chrome != 'undefined' && chrome.storage && chrome.storage.local;
+	}
+
+	function load() {
+		if (!hasLocalStorage()) {
+			return Promise.resolve([]);
+		}
+		return new Promise((resolve) => {
+			chrome.storage.local.get(STORAGE_KEY, (items) => {
+				resolve(Array.isArray(items[STORAGE_KEY]) ? items[STORAGE_KEY] : []);
+			});
+		});
+	}
+
+	function save(entries) {
+		var items = {};
+		items[STORAGE_KEY] = entries;
+		return new Promise((resolve, reject) => {
+			chrome.storage.local.set(items, () => {
+				if (chrome.runtime.lastError) {
+					reject(new Error(chrome.runtime.lastError.message));
+				} else {
+					resolve(entries);
+				}
+			});
+		});
+	}
+
+	// Changes are made one after the other, so that none is lost; this queue
+	// is the background page's
+	var changing = Promise.resolve();
+
+	function change(update) {
+		changing = changing.catch(() => null).then(() => load()).then((entries) => save(update(entries)));
+		return changing;
+	}
+
+	// Adds entries to the log, within limits {days, entries}; for the
+	// background page
+	function record(entries, limits) {
+		return change((log) => prune(log.concat(entries), limits));
+	}
+
+	// Sets the user's label of an entry: 1, -1 or null to take it back.
+	// Resolves to the log after the change.
+	function correct(id, label) {
+		if (label !== 1 && label !== -1 && label !== null) {
+			throw new Error('A correction is 1 (a typo), -1 (not a typo) or null');
+		}
+		return ask({type: 'decisions-correct', id: id, label: label});
+	}
+
+	// Empties the log, and resolves to it
+	function clear() {
+		return ask({type: 'decisions-clear'});
+	}
+
+	// Sends a change to the background page, which answers with apply()
+	function ask(message) {
+		return new Promise((resolve, reject) => {
+			chrome.runtime.sendMessage(message, (response) => {
+				if (chrome.runtime.lastError) {
+					reject(new Error(chrome.runtime.lastError.message));
+				} else if (!response || response.error) {
+					reject(new Error(response ? response.error : 'The background page did not answer'));
+				} else {
+					resolve(response.entries);
+				}
+			});
+		});
+	}
+
+	// Whether message is a change sent by correct() or clear()
+	function isChange(message) {
+		return message.type === 'decisions-correct' || message.type === 'decisions-clear';
+	}
+
+	// Makes the change of message, in the background page's queue, and
+	// resolves to the log after it
+	function apply(message) {
+		if (message.type === 'decisions-clear') {
+			return change(() => []);
+		}
+		return change((log) => log.map((entry) => entry.id === message.id ? Object.assign({}, entry, {correction: message.label}) : entry));
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.DECISIONS = DECISIONS;
+	exports.entriesFor = entriesFor;
+	exports.labelOf = labelOf;
+	exports.prune = prune;
+	exports.toCorpus = toCorpus;
+	exports.load = load;
+	exports.record = record;
+	exports.correct = correct;
+	exports.clear = clear;
+	exports.isChange = isChange;
+	exports.apply = apply;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,417 @@
+// The typo URL detector, independent of the page it runs in.
+//
+// A Detector holds the word list, the TLD list, the model and a DNS resolver
+// and finds typo URLs in raw text with analyzeText(). It also finds links to
+// lookalikes of popular domains (see lookalike.js) and tells whether the
+// domain of a URL is registered (see rdap.js). loadDetector() builds
+// one from a loader (see loaders.js), so the same code runs as a content
+// script and in node.js.
+
+var TypoDetector = (function(exports){
+
+	var models = typeof require != 'undefined' ? require('./models.js') : self.Models;
+	var dns = typeof require != 'undefined' ? require('./dns.js') : self.DNS;
+	var publicSuffixes = typeof require != 'undefined' ? require('./psl.js') : self.PSL;
+	var calibration = typeof require != 'undefined' ? require('./calibration.js') : self.Calibration;
+	var explanations = typeof require != 'undefined' ? require('./explain.js') : self.Explain;
+	var features = typeof require != 'undefined' ? require('./features.js') : self.Features;
+	var lexicon = typeof require != 'undefined' ? require('./lexicon.js') : self.Lexicon;
+	var timing = typeof require != 'undefined' ? require('./timing.js') : self.Timing;
+	var languages = typeof require != 'undefined' ? require('./languages.js') : self.Languages;
+	var punycode = typeof require != 'undefined' ? require('./punycode.js') : self.Punycode;
+	var ngrams = typeof require != 'undefined' ? require('./ngrams.js') : self.NGrams;
+	var lookalikes = typeof require != 'undefined' ? require('./lookalike.js') : self.Lookalike;
+	var registrations = typeof require != 'undefined' ? require('./rdap.js') : self.RDAP;
+	var linkify = typeof require != 'undefined' ? require('./linkify.js') : self.Linkify;
+
+	//Every feature the detector extracts, in the order of features.js. A model
+	//may use them in another order or only some of them (its featureNames).
+	var FEATURE_ORDER = features.names();
+
+	//The NS feature asks whether the URL has name servers. Lookups that time out
+	//or fail count as having name servers (ns = 0), so being offline does not turn
+	//every candidate into a typo.
+	var NS_FALLBACK = 0;
+
+	class Detector {
+		//resources: {words, dictionaries, psl, domains, model, resolver, rdap, nsFallback, threshold, allowlist, blocklist, bands, wordLists, brands}
+		//words is the English base dictionary, a Lexicon.WordSet or a list of words,
+		//dictionaries maps the codes of other languages (see languages.js) to theirs,
+		//psl is a PSL.PublicSuffixList, domains the popular domains lookalikes
+		//are looked for (most popular first),
+		//model the JSON of a trained model (see models.js), with the names of its features
+		//and with or without calibration (see calibration.js). A model that does
+		//not match the features of features.js is refused with an error, rdap is
+		//an RDAP client (see rdap.js). The rest is as in configure().
+		constructor(resources) {
+			this.baseWords = resources.words instanceof lexicon.WordSet ? resources.words : new lexicon.WordSet(resources.words);
+			this.dictionaries = resources.dictionaries || {};
+			this.buildLexicons(lexicon.emptyLists());
+			this.psl = resources.psl;
+			//character models of domain names and of the words of each language
+			this.domainModel = ngrams.domainModel(this.psl);
+			this.wordModels = {};
+			this.baseDomains = resources.domains || [];
+			this.lookalikes = new lookalikes.LookalikeIndex(this.baseDomains, this.psl);
+			//built when first asked for, see findTwitterLinks()
+			this.twitterLinks = null;
+			this.model = resources.model;
+			this.featureNames = features.checkModel(resources.model);
+			this.classifier = models.fromJSON(resources.model);
+			this.usesPrefilter = models.usesPrefilter(resources.model);
+			this.calibration = calibration.fromModel(resources.model);
+			this.resolver = resources.resolver || dns.createResolver();
+			this.rdap = resources.rdap || registrations.createClient();
+			this.nsFallback = resources.nsFallback === undefined ? NS_FALLBACK : resources.nsFallback;
+			this.threshold = 0;
+			this.allowlist = [];
+			this.blocklist = [];
+			this.bands = calibration.DEFAULT_BANDS;
+			this.configure(resources);
+		}
+
+		//Settings the user can change (see settings.js): URLs are typos when the
+		//margin is above threshold, and URLs on the allowlist or blocklist are
+		//never or always typos. List entries are domains or TLDs and cover their
+		//subdomains, so 'io' covers every .io URL and 'example.com' covers
+		//www.example.com. bands are the probabilities {hint, dialog} that decide
+		//how a typo is shown. wordLists are the user's word lists on top of the
+		//base dictionary (see lexicon.js). brands are domains to look for
+		//lookalikes of, besides the popular ones. Settings that are not given are
+		//left as they are.
+		configure(settings) {
+			if (settings.threshold !== undefined) {
+				this.threshold = settings.threshold;
+			}
+			if (settings.allowlist) {
+				this.allowlist = settings.allowlist.map(normalizeEntry);
+			}
+			if (settings.blocklist) {
+				this.blocklist = settings.blocklist.map(normalizeEntry);
+			}
+			if (settings.bands) {
+				this.bands = settings.bands;
+			}
+			if (settings.wordLists) {
+				this.buildLexicons(settings.wordLists);
+			}
+			if (settings.brands) {
+				this.lookalikes = new lookalikes.LookalikeIndex(settings.brands.concat(this.baseDomains), this.psl);
+			}
+			return this;
+		}
+
+		//One lexicon per language: its dictionary, then the English one, with
+		//the user's word lists on top. this.words is the English lexicon.
+		buildLexicons(wordLists) {
+			this.lexicons = {};
+			this.lexicons[languages.DEFAULT] = new lexicon.LayeredLexicon(this.baseWords, wordLists);
+			Object.keys(this.dictionaries).forEach((code) => {
+				this.lexicons[code] = new lexicon.LayeredLexicon([this.dictionaries[code], this.baseWords], wordLists);
+			});
+			this.words = this.lexicons[languages.DEFAULT];
+		}
+
+		lexiconFor(language) {
+			return this.lexicons[language] || this.words;
+		}
+
+		//The character models of ngrams.js for language, its words trained on
+		//its base dictionary the first time they are needed
+		ngramsFor(language) {
+			var code = this.dictionaries[language] ? language : languages.DEFAULT;
+			if (!this.wordModels[code]) {
+				var dictionary = code === languages.DEFAULT ? this.baseWords : this.dictionaries[code];
+				this.wordModels[code] = new ngrams.CharModel(dictionary.list());
+			}
+			return {words: this.wordModels[code], domains: this.domainModel};
+		}
+
+		//'allow', 'block' or null. The blocklist wins when a URL is on both.
+		listed(url) {
+			var host = punycode.toUnicode(url.toLowerCase().split(/[\/?#:]/)[0].replace(/\.$/, ''));
+			var covers = (entry) => host === entry || host.endsWith('.' + entry);
+			if (this.blocklist.some(covers)) {
+				return 'block';
+			}
+			if (this.allowlist.some(covers)) {
+				return 'allow';
+			}
+			return null;
+		}
+
+		//language is the code of the language of the post (see languages.js),
+		//whose dictionary decides what is a word
+		prefilter(url, language) {
+			url = languages.lower(url, language);
+			//IDNs are read in Unicode: xn--mnchen-3ya.de is münchen.de
+			var host = url.split(/[\/?#]/)[0];
+			url = punycode.toUnicode(host) + url.slice(host.length);
+			var otherwords = new Array();
+			//words are letters, marks and digits of any script: 'straße', 'çok'
+			otherwords = url.match(/(?<=\.)[\p{L}\p{M}\p{N}_]+/gu);
+			var firstword = url.match(/^[\p{L}\p{M}\p{N}_]+/u)[0];
+			var tld = '';
+
+			//public suffix, e.g. 'you' for you.you and 'co.uk' for example.co.uk
+			tld = this.psl.getPublicSuffix(host);
+
+			if (url.includes('/') || url.includes('?') || url.includes('www')) {
+				return [false, tld, firstword, otherwords];
+			}
+
+			if (tld == 'com' || tld == 'org' || tld.includes('.')) {
+				return [false, tld, firstword, otherwords];
+			}
+			return [this.lexiconFor(language).has(tld), tld, firstword, otherwords];
+		}
+
+		//FIND URLS
+		//Candidate URLs are located as spans of the text: link is the URL as written
+		//(protocol included) at [start, end), url is link without its protocol and
+		//urlStart is where url begins.
+		findCandidateURLs(text) {
+			var candidates = new Array();
+			var regex = /(?:https?:\/\/)?[\p{L}\p{M}\p{N}_][\p{L}\p{M}\p{N}_-]*(?:\.[\p{L}\p{M}\p{N}_-]+)+(?:\/[^\s]*)?/giu;
+			var match;
+			while ((match = regex.exec(text)) != null) {
+				if (match.index > 0 && /[\p{L}\p{M}\p{N}_.@\/-]/u.test(text[match.index - 1])) {
+					continue;
+				}
+				var link = match[0].replace(/[.,:;!?'")\]»]+$/, '');
+				var host = link.replace(/^https?:\/\//i, '').split('/')[0];
+				var lastLabel = host.slice(host.lastIndexOf('.') + 1).toLowerCase();
+				if (this.psl.isTLD(lastLabel)) {
+					candidates.push(makeCandidate(text, link, match.index));
+				}
+			}
+			return candidates;
+		}
+
+		//The URLs Twitter would link in text (see linkify.js), as candidates
+		findTwitterLinks(text) {
+			if (!this.twitterLinks) {
+				this.twitterLinks = new linkify.Linkifier();
+			}
+			return this.twitterLinks.extract(text).map((link) => makeCandidate(text, link.url, link.start, link.end));
+		}
+
+		//Resolves to {features, nameServers} for a candidate: the values of every
+		//feature of features.js, and how many name servers DNS gave its domain
+		//(null when there was no answer and the ns feature is nsFallback)
+		calculateFeatures(firstword, otherwords, candidate, text, tld, language) {
+			//DNS only knows the ASCII form of IDNs
+			var name = punycode.toASCII(candidate.url.split(/[\/?#]/)[0]);
+			return this.resolver.query(name, dns.QueryType.NS).then((answers) => {
+				var values = features.extract({
+					url: candidate.url,
+					urlStart: candidate.urlStart,
+					text: text,
+					tld: tld,
+					firstword: firstword,
+					otherwords: otherwords,
+					language: language,
+					words: this.lexiconFor(language),
+					ngrams: this.ngramsFor(language),
+					nsAnswers: answers,
+					nsFallback: this.nsFallback
+				});
+				return {features: values, nameServers: answers === null ? null : answers.length};
+			});
+		}
+
+		//ANALYZE TEXT
+		//Runs the whole detector on raw text without touching the page. Resolves to
+		//one finding per URL occurrence, in text order:
+		//  {url, link, start, end, tld, possibleTypo, features, nameServers, margin,
+		//   probability, listed, lookalike, verdict, band}
+		//start and end are offsets of link in text, features maps the names in
+		//FEATURE_ORDER to their values, nameServers is how many name servers DNS
+		//gave the URL's domain (null when it did not answer or was not asked),
+		//language is the code of the language the post was read in (see
+		//languages.js), probability is the calibrated chance that the URL is a
+		//typo (null when the model is not calibrated), listed is what listed() says and verdict is 1 for a typo URL and -1 otherwise.
+		//lookalike is the popular domain the URL's domain looks like (see
+		//LookalikeIndex.match()), or null. URLs with a word after the dot, which
+		//Prefiltering passes as possible typos, are left to the model: well.so
+		//is a sentence that lost its space, not a lookalike of dell.com.
+		//band says how to show a typo: 'dialog' for the warning, 'hint' for an
+		//inline hint only, and 'none' for URLs that are not typos or whose
+		//probability is below bands.hint. Lookalikes always get the warning. URLs that Prefiltering rules out have
+		//no features, margin or probability.
+		//options.urls restricts the analysis to these URLs instead of finding them.
+		//options.links 'twitter' finds the URLs Twitter would link instead of
+		//everything that looks like one.
+		//options.prefilter overrides whether Prefiltering comes before the model
+		//(by default it does unless the model file says otherwise).
+		//options.timer, a Timing.Timer, gets the time spent in each stage.
+		//options.language sets the language of text instead of detecting it.
+		analyzeText(text, options) {
+			options = options || {};
+			var prefilter = options.prefilter === undefined ? this.usesPrefilter : options.prefilter;
+			var timer = options.timer || new timing.Timer();
+			var language = options.language || languages.detect(text);
+			var candidates = options.urls ? locateURLs(text, options.urls) :
+				options.links === 'twitter' ? this.findTwitterLinks(text) : this.findCandidateURLs(text);
+			timer.lap('candidates');
+			var prefiltered = candidates.map((candidate) => this.prefilter(candidate.url, language));
+			timer.lap('prefilter');
+			var analyses = candidates.map((candidate, i) => {
+				var results = prefiltered[i];
+				var finding = {
+					url: candidate.url,
+					link: candidate.link,
+					start: candidate.start,
+					end: candidate.end,
+					tld: results[1],
+					language: language,
+					possibleTypo: results[0],
+					features: null,
+					nameServers: null,
+					margin: null,
+					probability: null,
+					listed: this.listed(candidate.url),
+					lookalike: null,
+					verdict: -1,
+					band: 'none'
+				};
+				if (finding.listed !== 'allow' && !finding.possibleTypo) {
+					finding.lookalike = this.lookalikes.match(candidate.url);
+				}
+				if (prefilter && !finding.possibleTypo) {
+					return finding;
+				}
+				return this.calculateFeatures(results[2], results[3], candidate, text, finding.tld, language).then((result) => {
+					finding.features = result.features;
+					finding.nameServers = result.nameServers;
+					return finding;
+				});
+			});
+
+			return Promise.all(analyses).then((findings) => {
+				timer.lap('features');
+				findings.forEach((finding) => {
+					if (finding.features) {
+						finding.margin = this.classifier.marginOne(this.featureNames.map((name) => finding.features[name]));
+						finding.verdict = finding.margin > this.threshold ? 1 : -1;
+						if (this.calibration) {
+							finding.probability = calibration.probability(this.calibration, finding.margin);
+						}
+					}
+					if (finding.listed) {
+						finding.verdict = finding.listed === 'block' ? 1 : -1;
+					}
+					if (finding.verdict == 1) {
+						var calibrated = finding.probability !== null && finding.listed !== 'block';
+						finding.band = calibrated ? calibration.band(finding.probability, this.bands) : 'dialog';
+					}
+					if (finding.lookalike) {
+						finding.band = 'dialog';
+					}
+				});
+				timer.lap('model');
+				return findings;
+			});
+		}
+
+		//Why the model gave a finding its margin, feature by feature (see
+		//explain.js), or null for URLs that Prefiltering ruled out
+		explain(finding) {
+			return finding.features ? explanations.explain(this.classifier, this.featureNames, finding.features) : null;
+		}
+
+		//Resolves to the registration status of the domain url is on (see
+		//rdap.js): whether anyone could register it, or since when someone has.
+		//Registries only know the registrable domain, in ASCII.
+		registration(url) {
+			var host = url.replace(/^https?:\/\//i, '').split(/[\/?#:]/)[0];
+			var domain = this.psl.getRegistrableDomain(host);
+			if (!domain) {
+				return Promise.resolve({domain: host, status: 'unknown', created: null, expires: null, registrar: null});
+			}
+			return this.rdap.lookup(punycode.toASCII(domain));
+		}
+	}
+
+	//'.io', '*.io' and 'IO' are all the entry 'io', and 'xn--p1ai' is 'рф'
+	function normalizeEntry(entry) {
+		return punycode.toUnicode(String(entry).trim().toLowerCase().replace(/^(\*\.|\.)/, '').replace(/\.$/, ''));
+	}
+
+	//Locates URLs that were recognized elsewhere (e.g. highlighted by Twitter)
+	//in text, one candidate per occurrence.
+	function locateURLs(text, urls) {
+		var candidates = new Array();
+		urls.forEach((link) => {
+			features.occurrences(text, link).forEach((index) => {
+				var before = text[index - 1];
+				var after = text[index + link.length];
+				if ((before === undefined || !/[\p{L}\p{M}\p{N}_-]/u.test(before)) && (after === undefined || !/[\p{L}\p{M}\p{N}_-]/u.test(after))) {
+					candidates.push(makeCandidate(text, link, index));
+				}
+			});
+		});
+		return candidates.sort((a, b) => a.start - b.start);
+	}
+
+	//end defaults to the end of link; twitter-text links can end further on
+	function makeCandidate(text, link, start, end) {
+		var url = link.replace(/^https?:\/\//i, '');
+		return {
+			link: link,
+			url: url,
+			start: start,
+			end: end === undefined ? start + link.length : end,
+			urlStart: start + link.length - url.length
+		};
+	}
+
+	//Builds a Detector from the resources a loader provides, with the
+	//dictionary of every language of languages.js. options may name
+	//other files for words, suffixes (the Public Suffix List), domains (the
+	//popular domains) and model, may hold an already parsed psl, and holds the
+	//rest of the Detector resources (resolver, rdap, nsFallback, threshold,
+	//allowlist, blocklist, bands, wordLists, brands).
+	function loadDetector(loader, options) {
+		options = options || {};
+		var codes = Object.keys(languages.LANGUAGES).filter((code) => code !== languages.DEFAULT);
+		return Promise.all([
+			loader.text(options.words || languages.LANGUAGES[languages.DEFAULT].words),
+			options.psl ? options.psl : loader.text(options.suffixes || 'public_suffix_list.dat').then(publicSuffixes.parse),
+			loader.json(options.model || 'created_model.json'),
+			Promise.all(codes.map((code) => loader.text(languages.LANGUAGES[code].words))),
+			loader.text(options.domains || 'domains.txt')
+		]).then(([words, psl, model, texts, domains]) => new Detector({
+			words: lexicon.parse(words),
+			dictionaries: codes.reduce((dictionaries, code, i) => {
+				dictionaries[code] = lexicon.parse(texts[i]);
+				return dictionaries;
+			}, {}),
+			psl: psl,
+			domains: lookalikes.parse(domains),
+			model: model,
+			resolver: options.resolver,
+			rdap: options.rdap,
+			nsFallback: options.nsFallback,
+			threshold: options.threshold,
+			allowlist: options.allowlist,
+			blocklist: options.blocklist,
+			bands: options.bands,
+			wordLists: options.wordLists,
+			brands: options.brands
+		}));
+	}
+
+	function parseWordList(text) {
+		return text.split(/\n|\r/g).filter((word) => word.length > 0).map((word) => word.toLowerCase());
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.FEATURE_ORDER = FEATURE_ORDER;
+	exports.Detector = Detector;
+	exports.loadDetector = loadDetector;
+	exports.parseWordList = parseWordList;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
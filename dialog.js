@@ -0,0 +1,566 @@
+// The warning shown when a post about to go out has typo URLs.
+//
+// The dialog lives in a shadow root of its own, so that neither the site's
+// styles nor its scripts reach into it, and everything in it is set as text:
+// the URLs and sentences come from the post and are never parsed as HTML.
+// It lists every typo URL in its sentence, with a choice of fix, a Fix/Undo
+// button and the reasons the model gave, and every lookalike of a popular
+// domain (see lookalike.js) with the domain it looks like to use instead,
+// and says whether each domain is registered and since when (see rdap.js).
+// For a thread it says which post each URL is in, with a button to go
+// there. It is a modal alertdialog for
+// screen readers, keeps the keyboard inside while open (Tab cycles, arrow
+// keys move between URLs, Escape cancels) and gives the focus back to the
+// editor when it closes. Its colours follow the site's light, dim or dark
+// theme, taken from the page background when it opens.
+
+var Dialog = (function(exports){
+
+	var autofix = typeof require != 'undefined' ? require('./autofix.js') : self.AutoFix;
+	var lookalikes = typeof require != 'undefined' ? require('./lookalike.js') : self.Lookalike;
+	var registrations = typeof require != 'undefined' ? require('./rdap.js') : self.RDAP;
+
+	var HOST_ID = 'typonomo-dialog';
+
+	// Characters of the sentence shown on each side of a URL, at most
+	var CONTEXT = 60;
+
+	var STYLE = `
+		:host {
+			all: initial;
+		}
+		:host([data-theme="light"]) {
+			--background: #ffffff;
+			--text: #0f1419;
+			--muted: #536471;
+			--border: #cfd9de;
+			--mark: rgba(224, 36, 94, 0.12);
+		}
+		:host([data-theme="dim"]) {
+			--background: #15202b;
+			--text: #f7f9f9;
+			--muted: #8b98a5;
+			--border: #38444d;
+			--mark: rgba(224, 36, 94, 0.25);
+		}
+		:host([data-theme="dark"]) {
+			--background: #000000;
+			--text: #e7e9ea;
+			--muted: #71767b;
+			--border: #2f3336;
+			--mark: rgba(224, 36, 94, 0.3);
+		}
+		.overlay {
+			position: fixed;
+			left: 0;
+			top: 0;
+			width: 100%;
+			height: 100%;
+			z-index: 2147483647;
+			overflow: auto;
+			background-color: rgba(91, 112, 131, 0.4);
+			font-family: sans-serif;
+		}
+		.overlay[hidden] {
+			display: none;
+		}
+		.dialog {
+			box-sizing: border-box;
+			width: 50%;
+			min-width: 320px;
+			max-width: 640px;
+			margin: 10% auto;
+			padding: 20px;
+			color: var(--text);
+			background-color: var(--background);
+			border: 3px solid #0DE0F5;
+			border-radius: 8px;
+		}
+		h2 {
+			margin: 0 0 8px 0;
+			font-size: 20px;
+		}
+		.summary {
+			margin: 0 0 12px 0;
+			font-size: 16px;
+			color: var(--muted);
+		}
+		.close {
+			float: right;
+			font-size: 24px;
+			font-weight: bold;
+			line-height: 1;
+			color: #0DE0F5;
+			background: none;
+			border: none;
+			cursor: pointer;
+		}
+		ul {
+			list-style: none;
+			margin: 0;
+			padding: 0;
+		}
+		.typo {
+			padding: 10px 0;
+			border-top: 1px solid var(--border);
+		}
+		.post {
+			margin: 0 0 4px 0;
+			font-size: 13px;
+			font-weight: bold;
+			color: var(--muted);
+		}
+		.sentence {
+			margin: 0 0 8px 0;
+			font-size: 16px;
+			overflow-wrap: anywhere;
+		}
+		mark {
+			color: #E0245E;
+			background-color: var(--mark);
+			font-weight: bold;
+			text-decoration: underline wavy #E0245E;
+		}
+		.suggestion {
+			margin: 0 0 8px 0;
+			font-size: 16px;
+			font-weight: bold;
+		}
+		.registration {
+			margin: 0 0 8px 0;
+			font-size: 14px;
+			color: var(--muted);
+		}
+		.registration.warn {
+			color: #E0245E;
+			font-weight: bold;
+		}
+		.confidence {
+			margin-right: 10px;
+			font-size: 14px;
+			color: var(--muted);
+		}
+		select {
+			font-size: 14px;
+			color: var(--text);
+			background-color: var(--background);
+			border: 1px solid var(--border);
+			border-radius: 4px;
+		}
+		.why {
+			padding: 6px 0 0 12px;
+			font-size: 14px;
+			color: var(--muted);
+		}
+		.why[hidden] {
+			display: none;
+		}
+		.why .up {
+			color: #E0245E;
+		}
+		button.small, button.big {
+			font-family: sans-serif;
+			font-weight: bold;
+			border: 1px solid #0DE0F5;
+			border-radius: 8px;
+			cursor: pointer;
+		}
+		button.small {
+			margin-left: 10px;
+			padding: 4px 12px;
+			font-size: 14px;
+			color: #0DE0F5;
+			background-color: var(--background);
+		}
+		button.big {
+			margin: 10px 10px 0 0;
+			padding: 10px 22px;
+			font-size: 18px;
+			color: #ffffff;
+			background-color: #0DE0F5;
+		}
+		button.small:hover, button.big:hover {
+			color: #0DE0F5;
+			background-color: var(--background);
+		}
+		button[hidden] {
+			display: none;
+		}
+		:focus-visible {
+			outline: 2px solid #0DE0F5;
+			outline-offset: 2px;
+		}
+		.status {
+			position: absolute;
+			width: 1px;
+			height: 1px;
+			overflow: hidden;
+			clip: rect(0 0 0 0);
+		}
+	`;
+
+	// 'light', 'dim' or 'dark', from the background of the page: Twitter's
+	// dim theme is dark blue and its dark one ("lights out") black
+	function themeOf(document) {
+		var view = document.defaultView;
+		var color = [document.body, document.documentElement]
+			.filter((element) => element)
+			.map((element) => parseColor(view.getComputedStyle(element).backgroundColor))
+			.filter((color) => color !== null)[0];
+		if (!color) {
+			var dark = view.matchMedia && view.matchMedia('(prefers-color-scheme: dark)').matches;
+			return dark ? 'dark' : 'light';
+		}
+		var luminance = (0.2126 * color[0] + 0.7152 * color[1] + 0.0722 * color[2]) / 255;
+		if (luminance > 0.5) {
+			return 'light';
+		}
+		return Math.max.apply(null, color) < 16 ? 'dark' : 'dim';
+	}
+
+	// [red, green, blue] of a CSS rgb() or rgba() color, or null when it is
+	// transparent or not in that form
+	function parseColor(value) {
+		var match = /^rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)(?:[,\s/]+([\d.]+%?))?\s*\)$/.exec(value || '');
+		if (!match || (match[4] !== undefined && parseFloat(match[4]) == 0)) {
+			return null;
+		}
+		return match.slice(1, 4).map(Number);
+	}
+
+	// The sentence of text around [start, end), cut to CONTEXT characters on
+	// each side: {before, link, after}
+	function sentenceAround(text, start, end) {
+		var before = text.slice(0, start);
+		var boundary = Array.from(before.matchAll(/[.!?…]\s+|\n/g)).pop();
+		before = boundary ? before.slice(boundary.index + boundary[0].length) : before;
+		var after = text.slice(end);
+		var stop = /[.!?…](?=\s|$)|\n/.exec(after);
+		after = stop ? after.slice(0, stop.index + (stop[0] === '\n' ? 0 : 1)) : after;
+		return {
+			before: before.length > CONTEXT ? '…' + before.slice(-CONTEXT).trimStart() : before.trimStart(),
+			link: text.slice(start, end),
+			after: after.length > CONTEXT ? after.slice(0, CONTEXT).trimEnd() + '…' : after.trimEnd()
+		};
+	}
+
+	// What made the model flag a finding, the five strongest reasons first:
+	// [{text, up}], up being true for reasons pointing to a typo, false for
+	// those pointing to an intended link and null for remarks
+	function reasonsFor(finding, explanation) {
+		var reasons = new Array();
+		if (finding.listed === 'block') {
+			reasons.push({text: 'it is on your list of domains to always flag', up: true});
+		}
+		if (finding.lookalike) {
+			reasons.push({text: 'its domain is ' + lookalikes.describe(finding.lookalike), up: true});
+		}
+		if (explanation) {
+			explanation.contributions.slice(0, 5).forEach((contribution) => {
+				reasons.push({text: contribution.text, up: contribution.contribution > 0});
+			});
+			if (!explanation.exact) {
+				reasons.push({text: '(approximate: this model does not weigh features one by one)', up: null});
+			}
+		}
+		return reasons;
+	}
+
+	class WarningDialog {
+		// fixer is an AutoFixer, explain(finding) returns the explanation of a
+		// finding (see explain.js), or null, and registration(url) a Promise of
+		// the registration status of its domain (see rdap.js)
+		constructor(document, fixer, explain, registration) {
+			this.document = document;
+			this.fixer = fixer;
+			this.explain = explain || (() => null);
+			this.registration = registration || null;
+			this.host = null;
+			this.root = null;
+			this.resolve = null;
+			this.options = {};
+			this.returnFocus = null;
+			this.keepFocus = (event) => {
+				if (this.isOpen() && event.target !== this.host) {
+					this.focusables()[0].focus();
+				}
+			};
+		}
+
+		// Builds the dialog, hidden; open() does so when needed
+		create() {
+			var document = this.document;
+			this.host = document.createElement('div');
+			this.host.id = HOST_ID;
+			this.root = this.host.attachShadow({mode: 'closed'});
+
+			var style = document.createElement('style');
+			style.textContent = STYLE;
+			this.root.appendChild(style);
+
+			this.overlay = this.element('div', 'overlay', this.root);
+			this.overlay.hidden = true;
+			this.box = this.element('div', 'dialog', this.overlay);
+			this.box.setAttribute('role', 'alertdialog');
+			this.box.setAttribute('aria-modal', 'true');
+			this.box.setAttribute('aria-labelledby', 'typonomo-title');
+			this.box.setAttribute('aria-describedby', 'typonomo-summary');
+
+			this.closeButton = this.element('button', 'close', this.box, '×');
+			this.closeButton.setAttribute('aria-label', 'Close');
+			this.closeButton.onclick = () => this.close('cancel');
+			this.title = this.element('h2', null, this.box);
+			this.title.id = 'typonomo-title';
+			this.summary = this.element('p', 'summary', this.box);
+			this.summary.id = 'typonomo-summary';
+			this.list = this.element('ul', null, this.box);
+
+			this.fixAllButton = this.element('button', 'big', this.box, 'Fix all and post');
+			this.fixAllButton.onclick = () => this.close('fix-all');
+			this.continueButton = this.element('button', 'big', this.box, 'Continue');
+			this.continueButton.onclick = () => this.close('continue');
+			this.cancelButton = this.element('button', 'big', this.box, 'Cancel');
+			this.cancelButton.onclick = () => this.close('cancel');
+
+			// announces fixes and undos to screen readers
+			this.status = this.element('div', 'status', this.box);
+			this.status.setAttribute('role', 'status');
+
+			this.box.addEventListener('keydown', (event) => this.keyDown(event));
+			document.body.appendChild(this.host);
+		}
+
+		element(name, className, parent, text) {
+			var element = this.document.createElement(name);
+			if (className) {
+				element.className = className;
+			}
+			if (text !== undefined) {
+				element.textContent = text;
+			}
+			parent.appendChild(element);
+			return element;
+		}
+
+		isOpen() {
+			return this.resolve !== null;
+		}
+
+		// Shows the findings and resolves to what the user chose: 'continue',
+		// 'fix-all' or 'cancel'. Without allowContinue (block mode) the post can
+		// only go out fixed. posts is the number of posts of a thread, whose
+		// findings have the index of theirs as post, and goTo(finding) shows a
+		// finding in its post; the dialog closes with 'cancel' first.
+		open(findings, options) {
+			options = options || {};
+			this.options = options;
+			if (!this.host || !this.host.isConnected) {
+				this.create();
+			}
+			if (this.isOpen()) {
+				this.close('cancel');
+			}
+			this.host.setAttribute('data-theme', themeOf(this.document));
+			var plural = findings.length > 1;
+			this.title.textContent = plural ? 'Possible typo URLs' : 'Possible typo URL';
+			var thread = options.posts > 1 ? ' in a thread of ' + options.posts + ' posts' : '';
+			this.summary.textContent = 'You are about to post ' + (plural ? findings.length + ' links' : 'a link') + thread +
+				' that may not go where you meant.';
+			while (this.list.firstChild) {
+				this.list.removeChild(this.list.firstChild);
+			}
+			findings.forEach((finding, i) => this.list.appendChild(this.row(finding, i)));
+			this.continueButton.hidden = options.allowContinue === false;
+			this.status.textContent = '';
+
+			this.returnFocus = this.document.activeElement;
+			this.overlay.hidden = false;
+			this.document.addEventListener('focusin', this.keepFocus, true);
+			this.focusables()[0].focus();
+			return new Promise((resolve) => {
+				this.resolve = resolve;
+			});
+		}
+
+		close(choice) {
+			if (!this.isOpen()) {
+				return;
+			}
+			var resolve = this.resolve;
+			this.resolve = null;
+			this.overlay.hidden = true;
+			this.document.removeEventListener('focusin', this.keepFocus, true);
+			if (this.returnFocus && this.returnFocus.isConnected && this.returnFocus.focus) {
+				this.returnFocus.focus();
+			}
+			this.returnFocus = null;
+			resolve(choice);
+		}
+
+		// One typo URL: its post in a thread, its sentence, whether its domain
+		// is registered, a choice of fix, Fix/Undo, a way to its post and Why?
+		row(finding, i) {
+			var row = this.document.createElement('li');
+			row.className = 'typo';
+
+			var inThread = this.options.posts > 1 && finding.post !== undefined;
+			if (inThread) {
+				this.element('p', 'post', row, 'Post ' + (finding.post + 1) + ' of ' + this.options.posts);
+			}
+
+			var sentence = this.element('p', 'sentence', row);
+			var context = typeof finding.text == 'string' ?
+				sentenceAround(finding.text, finding.start, finding.end) : {before: '', link: finding.link || finding.url, after: ''};
+			sentence.appendChild(this.document.createTextNode(context.before));
+			this.element('mark', null, sentence, context.link);
+			sentence.appendChild(this.document.createTextNode(context.after));
+
+			// lookalikes that are not typo URLs are fixed with their suggestion,
+			// typo URLs in the way chosen
+			var suggested = finding.verdict != 1 && finding.lookalike;
+			if (suggested) {
+				this.element('p', 'suggestion', row, 'Did you mean ' + finding.lookalike.domain + '?');
+			}
+
+			if (this.registration) {
+				this.showRegistration(finding, row);
+			}
+
+			if (!suggested && finding.probability !== null && finding.probability !== undefined) {
+				this.element('span', 'confidence', row, Math.round(finding.probability * 100) + '% likely a typo');
+			}
+
+			var choice = null;
+			if (!suggested) {
+				choice = this.element('select', null, row);
+				choice.setAttribute('aria-label', 'How to fix ' + finding.url);
+				Object.keys(autofix.FIXES).forEach((kind) => {
+					var option = this.element('option', null, choice, autofix.FIXES[kind].label);
+					option.value = kind;
+				});
+			}
+
+			var label = suggested ? 'Use ' + finding.lookalike.domain : 'Fix';
+			var spoken = suggested ? 'Use ' + finding.lookalike.suggestion + ' instead of ' + finding.url : 'Fix ' + finding.url;
+			var fix = this.element('button', 'small', row, label);
+			fix.setAttribute('aria-label', spoken);
+			fix.onclick = () => {
+				if (finding.edit) {
+					if (this.fixer.undo(finding.edit)) {
+						this.announce('Undid the fix of ' + finding.edit.replacement);
+						finding.edit = null;
+						fix.textContent = label;
+						fix.setAttribute('aria-label', spoken);
+						if (choice) {
+							choice.disabled = false;
+						}
+					}
+				} else {
+					finding.edit = suggested ? this.fixer.useSuggestion(finding) : this.fixer.fix(finding, choice.value);
+					if (finding.edit) {
+						this.announce('Changed ' + finding.url + ' to ' + finding.edit.replacement);
+						fix.textContent = 'Undo';
+						fix.setAttribute('aria-label', 'Undo the fix of ' + finding.url);
+						if (choice) {
+							choice.disabled = true;
+						}
+					}
+				}
+			};
+
+			if (inThread && this.options.goTo) {
+				var goTo = this.options.goTo;
+				var goButton = this.element('button', 'small', row, 'Go to post ' + (finding.post + 1));
+				goButton.setAttribute('aria-label', 'Go to ' + finding.url + ' in post ' + (finding.post + 1));
+				goButton.onclick = () => {
+					this.close('cancel');
+					goTo(finding);
+				};
+			}
+
+			var whyButton = this.element('button', 'small', row, 'Why?');
+			whyButton.setAttribute('aria-label', 'Why ' + finding.url + ' was flagged');
+			var why = this.element('ul', 'why', row);
+			why.id = 'typonomo-why-' + i;
+			why.hidden = true;
+			whyButton.setAttribute('aria-controls', why.id);
+			whyButton.setAttribute('aria-expanded', 'false');
+			whyButton.onclick = () => {
+				why.hidden = !why.hidden;
+				whyButton.setAttribute('aria-expanded', String(!why.hidden));
+			};
+			reasonsFor(finding, this.explain(finding)).forEach((reason) => {
+				this.element('li', reason.up === null ? null : reason.up ? 'up' : 'down', why,
+					(reason.up === null ? '' : reason.up ? 'Looks like a typo: ' : 'Looks intended: ') + reason.text);
+			});
+			return row;
+		}
+
+		// Says that the domain is being looked up, then what the registry
+		// answered; unregistered and recently registered domains stand out
+		showRegistration(finding, row) {
+			var host = finding.url.split(/[\/?#:]/)[0];
+			var status = this.element('p', 'registration', row, 'Checking whether ' + host + ' is registered…');
+			status.setAttribute('aria-live', 'polite');
+			this.registration(finding.url).then((registration) => {
+				status.textContent = registrations.describe(registration);
+				if (registration.status === 'unregistered' || registrations.isRecent(registration)) {
+					status.classList.add('warn');
+				}
+			}, () => {
+				status.textContent = 'Could not find out whether ' + host + ' is registered.';
+			});
+		}
+
+		announce(text) {
+			this.status.textContent = text;
+		}
+
+		// Everything in within (the dialog by default) that takes the focus, in
+		// tab order
+		focusables(within) {
+			return Array.from((within || this.box).querySelectorAll('button, select'))
+				.filter((element) => !element.disabled && !element.hidden && !element.closest('[hidden]'));
+		}
+
+		keyDown(event) {
+			var active = this.root.activeElement;
+			if (event.key === 'Escape') {
+				event.preventDefault();
+				this.close('cancel');
+			} else if (event.key === 'Tab') {
+				// the focus goes round the dialog instead of out to the page
+				var focusables = this.focusables();
+				var index = focusables.indexOf(active);
+				var next = event.shiftKey ? index - 1 : index + 1;
+				event.preventDefault();
+				focusables[(next + focusables.length) % focusables.length].focus();
+			} else if ((event.key === 'ArrowDown' || event.key === 'ArrowUp') && active && active.tagName !== 'SELECT') {
+				// to the same control of the next or previous URL
+				var row = active.closest('.typo');
+				var sibling = row && (event.key === 'ArrowDown' ? row.nextElementSibling : row.previousElementSibling);
+				if (sibling) {
+					// or its last control, when it has fewer
+					var targets = this.focusables(sibling);
+					var index = Math.min(this.focusables(row).indexOf(active), targets.length - 1);
+					if (index >= 0) {
+						event.preventDefault();
+						targets[index].focus();
+					}
+				}
+			}
+			// keys pressed in the dialog are not the page's shortcuts
+			event.stopPropagation();
+		}
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.WarningDialog = WarningDialog;
+	exports.themeOf = themeOf;
+	exports.parseColor = parseColor;
+	exports.sentenceAround = sentenceAround;
+	exports.reasonsFor = reasonsFor;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
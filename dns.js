@@ -0,0 +1,535 @@
+// DNS lookups for the NS feature.
+//
+// Every resolver has a single method, query(name, type), that returns a
+// Promise for the list of answer records ({name, type, TTL, data}).  A name
+// that does not exist resolves to an empty list, just like the old dns-js.com
+// helper did, so "no name servers" is simply answers.length == 0.
+
+var DNS = (function(exports){
+
+	var QueryType = {
+		A : 1,
+		NS : 2,
+		MD : 3,
+		MF : 4,
+		CNAME : 5,
+		SOA : 6,
+		MB : 7,
+		MG : 8,
+		MR : 9,
+		NULL : 10,
+		WKS : 11,
+		PTR : 12,
+		HINFO : 13,
+		MINFO : 14,
+		MX : 15,
+		TXT : 16,
+		RP : 17,
+		AFSDB : 18,
+		AAAA : 28,
+		SRV : 33,
+		SSHFP : 44,
+		RRSIG : 46,
+		AXFR : 252,
+		ANY : 255,
+		URI : 256,
+		CAA : 257
+	};
+
+	var DEFAULT_ENDPOINT = 'https://cloudflare-dns.com/dns-query';
+	var DEFAULT_TIMEOUT = 3000;
+	// How long an answer without records (NXDOMAIN/NODATA) is cached when the
+	// server does not tell us through the SOA of the authority section.
+	var DEFAULT_NEGATIVE_TTL = 300;
+	// How many answers the cache keeps; storage is shared with the settings,
+	// word lists and decision log, so it may not grow without bound.
+	var DEFAULT_MAX_ENTRIES = 500;
+
+	function typeNumber(type) {
+		if (typeof type === 'number') {
+			return type;
+		}
+		var number = QueryType[String(type).toUpperCase()];
+		if (number === undefined) {
+			throw new Error('Unknown DNS query type: ' + type);
+		}
+		return number;
+	}
+
+	function normalizeName(name) {
+		return String(name).toLowerCase().replace(/\.$/, '');
+	}
+
+	// Queries a DNS-over-HTTPS server. format is 'json' for the
+	// application/dns-json API (Cloudflare, Google) or 'wire' for RFC 8484
+	// application/dns-message GET requests.
+	class DohResolver {
+		constructor(options) {
+			options = options || {};
+			this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
+			this.format = options.format || 'json';
+			this.fetch = options.fetch || ((url, init) => fetch(url, init));
+		}
+
+		query(name, type) {
+			name = normalizeName(name);
+			type = typeNumber(type);
+			if (this.format === 'wire') {
+				return this._queryWire(name, type);
+			}
+			return this._queryJSON(name, type);
+		}
+
+		_queryJSON(name, type) {
+			var url = this.endpoint + (this.endpoint.includes('?') ? '&' : '?') +
+				'name=' + encodeURIComponent(name) + '&type=' + type;
+			return this.fetch(url, {headers: {'Accept': 'application/dns-json'}})
+				.then((response) => {
+					if (!response.ok) {
+						throw new Error('DoH server answered ' + response.status);
+					}
+					return response.json();
+				})
+				.then((json) => {
+					// 0 is NOERROR, 3 is NXDOMAIN. Anything else is a failed lookup.
+					if (json.Status !== 0 && json.Status !== 3) {
+						throw new Error('DNS lookup of ' + name + ' failed with status ' + json.Status);
+					}
+					var answers = (json.Answer || []).map((record) => ({
+						name: normalizeName(record.name),
+						type: record.type,
+						TTL: record.TTL,
+						data: record.data
+					}));
+					answers.negativeTTL = negativeTTL(json.Authority || []);
+					return answers;
+				});
+		}
+
+		_queryWire(name, type) {
+			var message = encodeQuery(name, type);
+			var url = this.endpoint + (this.endpoint.includes('?') ? '&' : '?') +
+				'dns=' + base64url(message);
+			return this.fetch(url, {headers: {'Accept': 'application/dns-message'}})
+				.then((response) => {
+					if (!response.ok) {
+						throw new Error('DoH server answered ' + response.status);
+					}
+					return response.arrayBuffer();
+				})
+				.then((buffer) => {
+					var decoded = decodeMessage(new Uint8Array(buffer));
+					if (decoded.rcode !== 0 && decoded.rcode !== 3) {
+						throw new Error('DNS lookup of ' + name + ' failed with rcode ' + decoded.rcode);
+					}
+					var answers = decoded.answers;
+					answers.negativeTTL = negativeTTL(decoded.authority);
+					return answers;
+				});
+		}
+	}
+
+	// Answers from a fixed table instead of the network, for running the
+	// feature pipeline offline. records maps a name to a list of
+	// {type, data, TTL} entries (or a bare list of NS host names).
+	class FakeResolver {
+		constructor(records) {
+			this.records = new Map();
+			Object.keys(records || {}).forEach((name) => {
+				var entries = records[name];
+				entries.forEach((entry) => {
+					if (typeof entry === 'string') {
+						this.add(name, 'NS', entry);
+					} else {
+						this.add(name, entry.type || 'NS', entry.data, entry.TTL);
+					}
+				});
+			});
+			this.queries = [];
+		}
+
+		add(name, type, data, ttl) {
+			name = normalizeName(name);
+			if (!this.records.has(name)) {
+				this.records.set(name, []);
+			}
+			this.records.get(name).push({
+				name: name,
+				type: typeNumber(type),
+				TTL: ttl === undefined ? 3600 : ttl,
+				data: data
+			});
+			return this;
+		}
+
+		query(name, type) {
+			name = normalizeName(name);
+			type = typeNumber(type);
+			this.queries.push({name: name, type: type});
+			var answers = (this.records.get(name) || []).filter((record) => record.type === type);
+			return Promise.resolve(answers.slice());
+		}
+	}
+
+	// Keeps answers for as long as their TTL allows. storage is anything with
+	// get(key), set(key, value), remove(key) and keys(prefix) returning
+	// promises; chromeStorage() makes the cache survive page loads. Expired
+	// answers are deleted when they are read, and after every write the
+	// cache is swept: expired entries go, and past options.maxEntries those
+	// that expire first. A storage that fails only costs the cache.
+	class CachingResolver {
+		constructor(resolver, options) {
+			options = options || {};
+			this.resolver = resolver;
+			this.storage = options.storage || memoryStorage();
+			this.prefix = options.prefix || 'dns:';
+			this.negativeTTL = options.negativeTTL === undefined ? DEFAULT_NEGATIVE_TTL : options.negativeTTL;
+			this.maxEntries = options.maxEntries === undefined ? DEFAULT_MAX_ENTRIES : options.maxEntries;
+			this.now = options.now || Date.now;
+			// Promise for key -> expiry of the cached answers, read from
+			// storage on the first write
+			this.expiries = null;
+		}
+
+		query(name, type) {
+			name = normalizeName(name);
+			type = typeNumber(type);
+			var key = this.prefix + type + ':' + name;
+			return this.storage.get(key).catch(() => undefined).then((entry) => {
+				if (entry && entry.expires > this.now()) {
+					return entry.answers;
+				}
+				if (entry) {
+					this.remove([key]);
+				}
+				return this.resolver.query(name, type).then((answers) => {
+					var ttl = answers.length == 0 ?
+						(answers.negativeTTL === undefined ? this.negativeTTL : answers.negativeTTL) :
+						Math.min.apply(null, answers.map((record) => record.TTL));
+					var stored = answers.map((record) => ({name: record.name, type: record.type, TTL: record.TTL, data: record.data}));
+					return this.store(key, {answers: stored, expires: this.now() + ttl * 1000})
+						.then(() => stored, () => stored);
+				});
+			});
+		}
+
+		store(key, entry) {
+			return this.storage.set(key, entry).then(() => this.cached()).then((expiries) => {
+				expiries.set(key, entry.expires);
+				var now = this.now();
+				var live = Array.from(expiries).filter((item) => item[1] > now).sort((a, b) => a[1] - b[1]);
+				var swept = Array.from(expiries.keys()).filter((cached) => expiries.get(cached) <= now)
+					.concat(live.slice(0, Math.max(0, live.length - this.maxEntries)).map((item) => item[0]));
+				return this.remove(swept);
+			});
+		}
+
+		cached() {
+			if (!this.expiries) {
+				this.expiries = this.storage.keys(this.prefix).then((keys) => {
+					return Promise.all(keys.map((key) => this.storage.get(key))).then((entries) => {
+						return new Map(keys.map((key, i) => [key, entries[i] ? entries[i].expires : 0]));
+					});
+				}).catch(() => new Map());
+			}
+			return this.expiries;
+		}
+
+		remove(keys) {
+			return Promise.all(keys.map((key) => {
+				if (this.expiries) {
+					this.expiries.then((expiries) => expiries.delete(key));
+				}
+				return this.storage.remove(key).catch(() => {});
+			}));
+		}
+	}
+
+	// Gives up on a lookup after timeout milliseconds, or when the lookup
+	// fails, and resolves to fallback instead of rejecting.
+	class TimeoutResolver {
+		constructor(resolver, options) {
+			options = options || {};
+			this.resolver = resolver;
+			this.timeout = options.timeout || DEFAULT_TIMEOUT;
+			this.fallback = options.fallback === undefined ? null : options.fallback;
+		}
+
+		query(name, type) {
+			var timer;
+			var expired = new Promise((resolve) => {
+				timer = setTimeout(() => {
+					console.warn('DNS lookup timed out:', name);
+					resolve(this.fallback);
+				}, this.timeout);
+			});
+			var lookup = this.resolver.query(name, type).catch((error) => {
+				console.warn('DNS lookup failed:', name, error.message);
+				return this.fallback;
+			});
+			return Promise.race([lookup, expired]).then((answers) => {
+				clearTimeout(timer);
+				return answers;
+			});
+		}
+	}
+
+	// Builds the resolver the extension uses from plain options:
+	//   endpoint, format  - passed on to DohResolver
+	//   resolver          - use this instead of a DohResolver (e.g. a FakeResolver)
+	//   storage           - cache storage, defaults to chrome.storage.local when
+	//                       available and memory otherwise; false disables caching
+	//   timeout, fallback - passed on to TimeoutResolver
+	function createResolver(options) {
+		options = options || {};
+		var resolver = options.resolver || new DohResolver(options);
+		if (options.storage !== false) {
+			var storage = options.storage || (hasChromeStorage() ? chromeStorage() : memoryStorage());
+			resolver = new CachingResolver(resolver, {storage: storage, negativeTTL: options.negativeTTL});
+		}
+		return new TimeoutResolver(resolver, options);
+	}
+
+	function hasChromeStorage() {
+		return typeof chrome != 'undefined' && chrome.storage && chrome.storage.local;
+	}
+
+	function memoryStorage() {
+		var map = new Map();
+		return {
+			get: (key) => Promise.resolve(map.get(key)),
+			set: (key, value) => {
+				map.set(key, value);
+				return Promise.resolve();
+			},
+			remove: (key) => {
+				map.delete(key);
+				return Promise.resolve();
+			},
+			keys: (prefix) => Promise.resolve(Array.from(map.keys()).filter((key) => key.startsWith(prefix)))
+		};
+	}
+
+	// Storage in a chrome.storage area; a failed call (over the quota, say)
+	// rejects with chrome.runtime.lastError
+	function chromeStorage(area) {
+		area = area || chrome.storage.local;
+		var call = (method, argument, result) => new Promise((resolve, reject) => {
+			area[method](argument, (items) => {
+				if (chrome.runtime.lastError) {
+					reject(new Error(chrome.runtime.lastError.message));
+				} else {
+					resolve(result(items || {}));
+				}
+			});
+		});
+		return {
+			get: (key) => call('get', key, (items) => items[key]),
+			set: (key, value) => {
+				var items = {};
+				items[key] = value;
+				return call('set', items, () => undefined);
+			},
+			remove: (key) => call('remove', key, () => undefined),
+			keys: (prefix) => call('get', null, (items) => Object.keys(items).filter((key) => key.startsWith(prefix)))
+		};
+	}
+
+	// The SOA record in the authority section of a negative answer says how
+	// long the negative answer may be cached (RFC 2308): the lesser of its TTL
+	// and its MINIMUM field.
+	function negativeTTL(authority) {
+		var soa = authority.filter((record) => record.type === QueryType.SOA)[0];
+		if (!soa) {
+			return undefined;
+		}
+		var minimum = Number(String(soa.data).trim().split(/\s+/).pop());
+		return isNaN(minimum) ? soa.TTL : Math.min(soa.TTL, minimum);
+	}
+
+	// Wire format (RFC 1035 section 4)
+
+	function encodeName(name, bytes) {
+		normalizeName(name).split('.').filter((label) => label.length > 0).forEach((label) => {
+			bytes.push(label.length);
+			for (var i = 0; i < label.length; i++) {
+				bytes.push(label.charCodeAt(i) & 0xff);
+			}
+		});
+		bytes.push(0);
+	}
+
+	function push16(bytes, value) {
+		bytes.push((value >> 8) & 0xff, value & 0xff);
+	}
+
+	function push32(bytes, value) {
+		bytes.push((value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff);
+	}
+
+	// The id is 0 so that HTTP caches can share answers (RFC 8484 section 4.1).
+	function encodeQuery(name, type) {
+		var bytes = [];
+		push16(bytes, 0);      // id
+		push16(bytes, 0x0100); // flags: recursion desired
+		push16(bytes, 1);      // questions
+		push16(bytes, 0);      // answers
+		push16(bytes, 0);      // authority records
+		push16(bytes, 0);      // additional records
+		encodeName(name, bytes);
+		push16(bytes, typeNumber(type));
+		push16(bytes, 1);      // class IN
+		return new Uint8Array(bytes);
+	}
+
+	// Encodes an answer to a single question. Only used by the local stand-in
+	// server, so record data is limited to A, AAAA and name-valued types.
+	function encodeResponse(query, rcode, answers) {
+		var question = decodeMessage(query).questions[0];
+		var bytes = [];
+		push16(bytes, (query[0] << 8) | query[1]);
+		push16(bytes, 0x8180 | rcode); // response, recursion desired and available
+		push16(bytes, 1);
+		push16(bytes, answers.length);
+		push16(bytes, 0);
+		push16(bytes, 0);
+		encodeName(question.name, bytes);
+		push16(bytes, question.type);
+		push16(bytes, 1);
+		answers.forEach((record) => {
+			encodeName(record.name, bytes);
+			push16(bytes, record.type);
+			push16(bytes, 1);
+			push32(bytes, record.TTL);
+			var rdata = [];
+			if (record.type === QueryType.A) {
+				record.data.split('.').forEach((part) => rdata.push(Number(part)));
+			} else if (record.type === QueryType.AAAA) {
+				expandIPv6(record.data).forEach((group) => push16(rdata, group));
+			} else {
+				encodeName(record.data, rdata);
+			}
+			push16(bytes, rdata.length);
+			bytes.push.apply(bytes, rdata);
+		});
+		return new Uint8Array(bytes);
+	}
+
+	function expandIPv6(address) {
+		var halves = address.split('::');
+		var head = halves[0] ? halves[0].split(':') : [];
+		var tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+		var groups = head.concat(new Array(8 - head.length - tail.length).fill('0'), tail);
+		return groups.map((group) => parseInt(group, 16));
+	}
+
+	function decodeMessage(bytes) {
+		var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		var offset = 12;
+
+		function readName() {
+			var labels = [];
+			var position = offset;
+			var jumped = false;
+			for (var guard = 0; guard < 128; guard++) {
+				var length = bytes[position];
+				if ((length & 0xc0) === 0xc0) {
+					// compression pointer
+					if (!jumped) {
+						offset = position + 2;
+					}
+					position = view.getUint16(position) & 0x3fff;
+					jumped = true;
+				} else if (length === 0) {
+					if (!jumped) {
+						offset = position + 1;
+					}
+					return labels.join('.');
+				} else {
+					labels.push(String.fromCharCode.apply(null, bytes.subarray(position + 1, position + 1 + length)));
+					position += length + 1;
+				}
+			}
+			throw new Error('Malformed DNS name');
+		}
+
+		function readRecord() {
+			var name = readName();
+			var type = view.getUint16(offset);
+			var ttl = view.getUint32(offset + 4);
+			var length = view.getUint16(offset + 8);
+			offset += 10;
+			var end = offset + length;
+			var data;
+			if (type === QueryType.A) {
+				data = Array.from(bytes.subarray(offset, end)).join('.');
+			} else if (type === QueryType.AAAA) {
+				var groups = [];
+				for (var i = offset; i < end; i += 2) {
+					groups.push(view.getUint16(i).toString(16));
+				}
+				data = groups.join(':');
+			} else if (type === QueryType.NS || type === QueryType.CNAME || type === QueryType.PTR) {
+				data = readName();
+			} else if (type === QueryType.SOA) {
+				var mname = readName();
+				var rname = readName();
+				var numbers = [];
+				for (var j = 0; j < 5; j++) {
+					numbers.push(view.getUint32(offset + j * 4));
+				}
+				data = [mname, rname].concat(numbers).join(' ');
+			} else {
+				data = Array.from(bytes.subarray(offset, end))
+					.map((byte) => ('0' + byte.toString(16)).slice(-2)).join('');
+			}
+			offset = end;
+			return {name: normalizeName(name), type: type, TTL: ttl, data: data};
+		}
+
+		var counts = [view.getUint16(4), view.getUint16(6), view.getUint16(8)];
+		var questions = [];
+		for (var q = 0; q < counts[0]; q++) {
+			var qname = readName();
+			questions.push({name: qname, type: view.getUint16(offset)});
+			offset += 4;
+		}
+		var answers = [];
+		for (var a = 0; a < counts[1]; a++) {
+			answers.push(readRecord());
+		}
+		var authority = [];
+		for (var n = 0; n < counts[2]; n++) {
+			authority.push(readRecord());
+		}
+		return {
+			id: view.getUint16(0),
+			rcode: view.getUint16(2) & 0x000f,
+			questions: questions,
+			answers: answers,
+			authority: authority
+		};
+	}
+
+	function base64url(bytes) {
+		var binary = String.fromCharCode.apply(null, bytes);
+		return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.QueryType = QueryType;
+	exports.DEFAULT_ENDPOINT = DEFAULT_ENDPOINT;
+	exports.DohResolver = DohResolver;
+	exports.FakeResolver = FakeResolver;
+	exports.CachingResolver = CachingResolver;
+	exports.TimeoutResolver = TimeoutResolver;
+	exports.createResolver = createResolver;
+	exports.memoryStorage = memoryStorage;
+	exports.chromeStorage = chromeStorage;
+	exports.encodeQuery = encodeQuery;
+	exports.encodeResponse = encodeResponse;
+	exports.decodeMessage = decodeMessage;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
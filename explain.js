@@ -0,0 +1,63 @@
+// Explains why a URL was flagged, one feature at a time.
+//
+// The margin of a linear model (a linear SVM or logistic regression) is
+// b + sum(w[j] * x[j]), so each feature's share of it is exactly w[j] * x[j].
+// Other models (an RBF SVM, trees, ensembles) have no weights; there the share
+// of a feature is approximated by how much the margin moves when the feature
+// is flipped (0 <-> 1), everything else being equal. Approximate shares need
+// not add up to the margin.
+
+var Explain = (function(exports){
+
+	var features = typeof require != 'undefined' ? require('./features.js') : self.Features;
+
+	// model is a model of models.js and values maps the names in order (the
+	// order of the model's inputs) to the values of the features. Returns
+	//   {exact, margin, contributions: [{feature, value, contribution, text}]}
+	// with the contributions that are not 0, largest first. A positive
+	// contribution pushes towards a typo and a negative one away from it.
+	function explain(model, order, values) {
+		var vector = order.map((name) => values[name]);
+		var margin = model.marginOne(vector);
+		var weights = model.weights();
+		var exact = weights !== null;
+		var contributions = order.map((name, j) => {
+			var contribution;
+			if (exact) {
+				contribution = weights[j] * vector[j];
+			} else {
+				var flipped = vector.slice();
+				flipped[j] = vector[j] ? 0 : 1;
+				contribution = margin - model.marginOne(flipped);
+			}
+			return {feature: name, value: vector[j], contribution: contribution, text: features.describe(name, vector[j])};
+		});
+		return {
+			exact: exact,
+			margin: margin,
+			contributions: contributions
+				.filter((item) => Math.abs(item.contribution) > 1e-6)
+				.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+		};
+	}
+
+	// One line per contribution, e.g.
+	//   "+2.00  this domain has no name servers, so no website is there"
+	function format(explanation) {
+		var lines = explanation.contributions.map((item) => {
+			var sign = item.contribution > 0 ? '+' : '-';
+			return sign + Math.abs(item.contribution).toFixed(2) + '  ' + item.text;
+		});
+		if (!explanation.exact) {
+			lines.push('(approximate: the model is not linear)');
+		}
+		return lines;
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.explain = explain;
+	exports.format = format;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,327 @@
+// The features of a candidate URL, declared once.
+//
+// Each feature has a name, an extract(context) function and the plain
+// language description of its two values (used by explain.js). The order of
+// FEATURES is the order of the vectors train.js builds; a model records the
+// names of its inputs (featureNames) and the SCHEMA_VERSION it was trained
+// with, and checkModel() refuses a model that does not match. Adding a feature
+// is adding it here (and bumping SCHEMA_VERSION if an existing feature changes
+// meaning); models trained without it keep working.
+//
+// The context of a candidate is
+//   {url, urlStart, text, tld, firstword, otherwords, language, words, ngrams, nsAnswers, nsFallback}
+// url is the candidate without its protocol, found at urlStart in text; tld,
+// firstword and otherwords come from Prefiltering; language is the code of the
+// language of text (see languages.js), words the lexicon of that language,
+// ngrams the character models {words, domains} of ngrams.js and nsAnswers
+// the answers to the NS lookup of url (null when it failed).
+//
+// The features that ask whether the first dot of the URL ends a sentence
+// (capital, sentenceBefore, sentenceAfter, ngram) came later than the rest
+// and left the existing ones as they were, so version 1 models still load.
+// The bundled created_model.json predates them and does not name them, so
+// they count only in models retrained with train.js.
+
+var Features = (function(exports){
+
+	var languages = typeof require != 'undefined' ? require('./languages.js') : self.Languages;
+	var ngrams = typeof require != 'undefined' ? require('./ngrams.js') : self.NGrams;
+
+	var SCHEMA_VERSION = 1;
+
+	// Share of the words of a sentence that must be known for it to read as one
+	var KNOWN_SHARE = 0.75;
+
+	// TLDs that get a feature of their own
+	var TLD_INDICATORS = ['net', 'co', 'gov', 'it', 'my', 'no', 'so', 'you', 'to', 'zip'];
+
+	// 'beginning', 'end' or 'middle' of the text
+	function position(context) {
+		if (context.urlStart == context.text.length - context.url.length) {
+			return 'end';
+		}
+		return context.urlStart == 0 ? 'beginning' : 'middle';
+	}
+
+	var FEATURES = [
+		{
+			name: 'ns',
+			describe: ['this domain has name servers', 'this domain has no name servers, so no website is there'],
+			extract: (context) => {
+				if (context.nsAnswers === null) {
+					return context.nsFallback;
+				}
+				return context.nsAnswers.length == 0 ? 1 : 0;
+			}
+		},
+		{
+			name: 'preposition',
+			describe: ['the word before it introduces a link, like \'visit\', \'on\' or \'via\'', 'the word before it isn\'t \'visit\', \'on\', \'via\', \'to\' or \'at\''],
+			extract: (context) => {
+				var previousWords = occurrences(context.text, context.url)
+					.map((index) => previousWord(context.text, index))
+					.filter((word) => word != null);
+				return previousWords.some((word) => languages.introducesLink(word, context.language)) ? 0 : 1;
+			}
+		},
+		{
+			name: 'string',
+			describe: ['it doesn\'t read like ordinary words joined by a dot', 'it reads like ordinary words joined by a dot'],
+			extract: (context) => readsLikeWords(context)
+		},
+		{
+			name: 'repetition',
+			describe: ['it appears only once in the post', 'it appears more than once in the post'],
+			extract: (context) => occurrences(context.text, context.url).length > 1 ? 1 : 0
+		},
+		{
+			name: 'beginning',
+			describe: ['it isn\'t at the beginning of the post', 'it is at the beginning of the post'],
+			extract: (context) => position(context) == 'beginning' ? 1 : 0
+		},
+		{
+			name: 'end',
+			describe: ['it isn\'t at the end of the post', 'it is at the end of the post'],
+			extract: (context) => position(context) == 'end' ? 1 : 0
+		},
+		{
+			name: 'middle',
+			describe: ['it isn\'t in the middle of the post', 'it is in the middle of the post'],
+			extract: (context) => position(context) == 'middle' ? 1 : 0
+		},
+		{
+			name: 'capital',
+			describe: ['no capital letter starts the part after the dot', 'a capital letter starts the part after the dot, like a new sentence'],
+			extract: (context) => {
+				var right = hostOf(context.url).split('.')[1] || '';
+				return /^\p{Lu}/u.test(right) && (right.length == 1 || /\p{Ll}/u.test(right)) ? 1 : 0;
+			}
+		},
+		{
+			name: 'sentenceBefore',
+			describe: ['the sentence before the dot isn\'t made of ordinary words', 'the sentence before the dot is made of ordinary words'],
+			extract: (context) => {
+				var sentence = context.text.slice(sentenceStart(context.text, context.urlStart), context.urlStart);
+				return readsLikeSentence(languages.words(sentence, context.language).concat([context.firstword]), context.words) ? 1 : 0;
+			}
+		},
+		{
+			name: 'sentenceAfter',
+			describe: ['the sentence after the dot isn\'t made of ordinary words', 'the sentence after the dot is made of ordinary words'],
+			extract: (context) => {
+				var end = context.urlStart + context.url.length;
+				var sentence = context.text.slice(end, sentenceEnd(context.text, end));
+				var right = context.otherwords[0] || '';
+				return readsLikeSentence([right].concat(languages.words(sentence, context.language)), context.words) ? 1 : 0;
+			}
+		},
+		{
+			name: 'ngram',
+			describe: ['it reads more like a domain name than like two sentences', 'it reads more like the end of one sentence and the start of another than like a domain name'],
+			extract: (context) => {
+				var right = context.otherwords[0] || '';
+				return ngrams.sentenceOdds(context.ngrams, context.firstword, right) > 0 ? 1 : 0;
+			}
+		}
+	].concat(TLD_INDICATORS.map((tld) => ({
+		name: tld,
+		describe: ['it doesn\'t end in .' + tld, 'it ends in .' + tld],
+		extract: (context) => context.tld == tld ? 1 : 0
+	})));
+
+	// Whether the URL looks like words (or numbers) that lost the space after
+	// their dot, rather than a name someone made up for a website.
+	function readsLikeWords(context) {
+		var firstword = context.firstword;
+		var otherwords = context.otherwords;
+		var count = 0;
+		if (firstword.length < 2) {
+			otherwords.forEach((item, i) => {
+				if (item.length < 2) {
+					count++;
+				}
+			});
+		}
+
+		var countOtherword = 0;
+		var firstwordIsWord = false;
+		var otherwordsAreWords = false;
+		var firstwordisNumber = true;
+		var otherwordsAreNumbers = true;
+		var firstwordCamelCase = false;
+		var otherwordsCamelCase = false;
+		var urlDotCapital = context.url.match(/\p{Ll}\.\p{Lu}/gu) != null;
+		if (context.words.has(firstword)) {
+			firstwordIsWord = true;
+		}
+		for (var k = 0; k < otherwords.length - 1; k++) {
+			if (context.words.has(otherwords[k])) {
+				countOtherword++;
+			}
+		}
+		if (countOtherword == otherwords.length - 1) {
+			otherwordsAreWords = true;
+		}
+
+		if (isNaN(firstword)) {
+			firstwordisNumber = false;
+		}
+		otherwords.forEach((item, i) => {
+			if (isNaN(item)) {
+				otherwordsAreNumbers = false;
+			}
+		});
+
+		if (firstword.match(/\p{Ll}\p{Lu}/gu) != null) {
+			firstwordCamelCase = true;
+		}
+		otherwords.forEach((item, i) => {
+			if (item.match(/\p{Ll}\p{Lu}/gu) != null) {
+				otherwordsCamelCase = true;
+			}
+		});
+
+		//conditions
+		if (count == otherwords.length - 1) {
+			return 1;
+		} else if (containsDash()) {
+			return 0;
+		} else if ((firstwordIsWord == false && firstwordisNumber == false) || otherwordsAreWords == false) {
+			return 0;
+		} else if (firstwordisNumber && otherwords.length == 1) {
+			return 1;
+		} else if (firstwordisNumber && otherwordsAreNumbers) {
+			return 1;
+		} else if (firstwordisNumber && otherwordsAreWords && otherwordsCamelCase == false) {
+			return 1;
+		} else if (firstwordIsWord && firstwordCamelCase == false && otherwords.length == 1 && urlDotCapital) {
+			return 1;
+		} else if (otherwordsAreWords && otherwordsCamelCase == false && firstwordisNumber) {
+			return 1;
+		} else if (otherwordsAreWords && otherwordsCamelCase == false && firstwordIsWord && firstwordCamelCase == false) {
+			return 1;
+		}
+		return 0;
+
+		//made-up names have dashes, words that lost their space don't. Only
+		//the first word is asked, and numbers after the dot count only when
+		//they are words too: that is what the bundled model was trained on,
+		//and asking the whole host changes the feature (see SCHEMA_VERSION)
+		function containsDash() {
+			return firstword.includes('-');
+		}
+	}
+
+	function hostOf(url) {
+		return url.split(/[\/?#]/)[0];
+	}
+
+	// Where the sentence around index begins: after the last sentence end
+	// (a full stop, question or exclamation mark followed by a space) or line
+	// break before it
+	function sentenceStart(text, index) {
+		var ends = Array.from(text.slice(0, index).matchAll(/[.!?…]\s+|\n/g));
+		var last = ends[ends.length - 1];
+		return last ? last.index + last[0].length : 0;
+	}
+
+	// Where the sentence that goes on at index ends
+	function sentenceEnd(text, index) {
+		var end = /[.!?…](?=\s|$)|\n/.exec(text.slice(index));
+		return end ? index + end.index : text.length;
+	}
+
+	// Whether words (in lower case) read as a sentence: enough of them are in
+	// the lexicon, or are numbers
+	function readsLikeSentence(words, lexicon) {
+		words = words.filter((word) => word.length > 0);
+		var known = words.filter((word) => lexicon.has(word) || /^\p{N}+$/u.test(word));
+		return words.length > 0 && known.length >= KNOWN_SHARE * words.length;
+	}
+
+	function names() {
+		return FEATURES.map((feature) => feature.name);
+	}
+
+	function byName(name) {
+		return FEATURES.filter((feature) => feature.name === name)[0] || null;
+	}
+
+	// Values of every feature for a candidate: {name: value}
+	function extract(context) {
+		var values = {};
+		FEATURES.forEach((feature) => {
+			values[feature.name] = feature.extract(context);
+		});
+		return values;
+	}
+
+	// What a feature means, for the value it has
+	function describe(name, value) {
+		var feature = byName(name);
+		if (!feature) {
+			return name + ' is ' + value;
+		}
+		return feature.describe[value ? 1 : 0];
+	}
+
+	// Throws unless the model JSON was trained on features this code extracts
+	// in the same way. Returns the names of the model's inputs, in order.
+	function checkModel(model) {
+		if (!Array.isArray(model.featureNames) || model.schemaVersion === undefined) {
+			throw new Error('The model does not say which features it was trained on (featureNames and schemaVersion); retrain it with train.js');
+		}
+		if (model.schemaVersion !== SCHEMA_VERSION) {
+			throw new Error('The model was trained on feature schema version ' + model.schemaVersion + ' but this detector extracts version ' + SCHEMA_VERSION + '; retrain it with train.js');
+		}
+		var unknown = model.featureNames.filter((name) => byName(name) === null);
+		if (unknown.length > 0) {
+			throw new Error('The model uses features this detector does not have: ' + unknown.join(', '));
+		}
+		if (new Set(model.featureNames).size != model.featureNames.length) {
+			throw new Error('The model lists a feature more than once');
+		}
+		if (model.D !== undefined && model.D != model.featureNames.length) {
+			throw new Error('The model has ' + model.D + ' inputs but names ' + model.featureNames.length + ' features');
+		}
+		return model.featureNames.slice();
+	}
+
+	// Positions of every occurrence of s in text
+	function occurrences(text, s) {
+		var indexes = new Array();
+		var index = text.indexOf(s);
+		while (s.length > 0 && index != -1) {
+			indexes.push(index);
+			index = text.indexOf(s, index + s.length);
+		}
+		return indexes;
+	}
+
+	// Word right before index if the two are separated by a single space
+	function previousWord(text, index) {
+		if (text[index - 1] != ' ') {
+			return null;
+		}
+		var begin = index - 1;
+		while (begin > 0 && !/[ \r\n]/.test(text[begin - 1])) {
+			begin--;
+		}
+		return begin < index - 1 ? text.slice(begin, index - 1) : null;
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.SCHEMA_VERSION = SCHEMA_VERSION;
+	exports.TLD_INDICATORS = TLD_INDICATORS;
+	exports.FEATURES = FEATURES;
+	exports.names = names;
+	exports.byName = byName;
+	exports.extract = extract;
+	exports.describe = describe;
+	exports.checkModel = checkModel;
+	exports.occurrences = occurrences;
+	exports.previousWord = previousWord;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
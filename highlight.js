@@ -0,0 +1,176 @@
+// Underlines suspected typo URLs while the post is being typed.
+//
+// The editor belongs to the site (Draft.js on Twitter) and must not be touched, so the
+// underlines are drawn in an overlay on top of the page, positioned from the
+// client rects of DOM Ranges over the text, and redrawn when the page scrolls
+// or resizes. Hovering an underline shows a card with the verdict. The text of
+// a textarea has no ranges to measure, so textareas are checked on submit only.
+
+var Highlight = (function(exports){
+
+	var adapters = typeof require != 'undefined' ? require('./adapters.js') : self.Adapters;
+
+	var DEFAULT_DELAY = 500;
+
+	// Range over the characters [start, end) of element's text content
+	function rangeForOffsets(element, start, end) {
+		var document = element.ownerDocument;
+		var walker = document.createTreeWalker(element, 4 /* NodeFilter.SHOW_TEXT */);
+		var range = document.createRange();
+		var position = 0;
+		var startSet = false;
+		for (var node = walker.nextNode(); node; node = walker.nextNode()) {
+			var length = node.nodeValue.length;
+			if (!startSet && start <= position + length) {
+				range.setStart(node, start - position);
+				startSet = true;
+			}
+			if (startSet && end <= position + length) {
+				range.setEnd(node, end - position);
+				return range;
+			}
+			position += length;
+		}
+		return null;
+	}
+
+	class TypoHighlighter {
+		// adapter is the site adapter (see adapters.js) and analyze(text)
+		// resolves to the findings of TypoDetector's analyzeText
+		constructor(document, adapter, analyze, options) {
+			options = options || {};
+			this.document = document;
+			this.adapter = adapter;
+			this.analyze = analyze;
+			this.delay = options.delay || DEFAULT_DELAY;
+			this.timers = new Map();
+			this.generations = new WeakMap();
+			this.marks = new Map(); // editor -> [{block, start, end, finding}]
+			this.layer = null;
+			this.card = null;
+		}
+
+		start() {
+			this.layer = this.document.createElement('div');
+			this.layer.className = 'typonomo-layer';
+			this.card = this.document.createElement('div');
+			this.card.className = 'typonomo-card';
+			this.card.setAttribute('role', 'tooltip');
+			this.layer.appendChild(this.card);
+			this.document.body.appendChild(this.layer);
+
+			this.document.addEventListener('input', (event) => this.edited(event.target), true);
+			var view = this.document.defaultView;
+			view.addEventListener('scroll', () => this.draw(), true);
+			view.addEventListener('resize', () => this.draw());
+		}
+
+		edited(target) {
+			var editor = target.closest && target.closest(this.adapter.editorSelector);
+			if (!editor || adapters.isTextField(editor)) {
+				return;
+			}
+			clearTimeout(this.timers.get(editor));
+			this.timers.set(editor, setTimeout(() => {
+				this.timers.delete(editor);
+				this.refresh(editor);
+			}, this.delay));
+		}
+
+		// Analyzes the post in editor and redraws its underlines, each in the
+		// block its URL is in. Results of an older refresh are dropped.
+		refresh(editor) {
+			var generation = (this.generations.get(editor) || 0) + 1;
+			this.generations.set(editor, generation);
+			var post = adapters.postOf(this.adapter, editor);
+			return this.analyze(post.text).then((findings) => {
+				if (this.generations.get(editor) !== generation) {
+					return;
+				}
+				this.marks.set(editor, findings.filter((finding) => finding.band !== 'none').map((finding) => {
+					var block = adapters.blockAt(post, finding.start);
+					return {block: block.element, start: finding.start - block.offset, end: finding.end - block.offset, finding: finding};
+				}));
+				this.draw();
+			}, (error) => {
+				// without an analysis the old underlines would be wrong
+				if (this.generations.get(editor) === generation) {
+					this.marks.delete(editor);
+					this.draw();
+				}
+				console.warn('TypoNoMo could not check this post:', error.message);
+			});
+		}
+
+		clear() {
+			this.marks.clear();
+			this.draw();
+		}
+
+		draw() {
+			if (!this.layer) {
+				return;
+			}
+			this.layer.querySelectorAll('.typonomo-underline').forEach((underline) => underline.remove());
+			this.hideCard();
+			this.marks.forEach((marks, editor) => {
+				if (!editor.isConnected) {
+					this.marks.delete(editor);
+					return;
+				}
+				marks.forEach((mark) => {
+					var range = rangeForOffsets(mark.block, mark.start, mark.end);
+					if (!range) {
+						return;
+					}
+					Array.from(range.getClientRects()).forEach((rect) => {
+						var underline = this.document.createElement('div');
+						underline.className = 'typonomo-underline';
+						underline.style.left = rect.left + 'px';
+						underline.style.top = (rect.bottom - 2) + 'px';
+						underline.style.width = rect.width + 'px';
+						underline.addEventListener('mouseenter', () => this.showCard(mark.finding, rect));
+						underline.addEventListener('mouseleave', () => this.hideCard());
+						this.layer.appendChild(underline);
+					});
+				});
+			});
+		}
+
+		showCard(finding, rect) {
+			this.card.textContent = '';
+			var title = this.document.createElement('strong');
+			var detail = this.document.createElement('div');
+			if (finding.verdict != 1 && finding.lookalike) {
+				title.textContent = 'Possible lookalike domain: ' + finding.url;
+				detail.textContent = 'This will be posted as a link to ' + finding.url +
+					', not ' + finding.lookalike.domain + '. Did you mean ' + finding.lookalike.suggestion + '?';
+			} else {
+				title.textContent = 'Possible typo URL: ' + finding.url;
+				detail.textContent = 'This will be posted as a link to ' + finding.url +
+					'. Did you forget a space after the dot? ' +
+					(finding.listed === 'block' ? '(on your blocklist)' :
+						finding.probability !== null ? '(' + Math.round(finding.probability * 100) + '% likely a typo)' :
+						'(score ' + finding.margin.toFixed(2) + ')');
+			}
+			this.card.appendChild(title);
+			this.card.appendChild(detail);
+			this.card.style.left = rect.left + 'px';
+			this.card.style.top = (rect.bottom + 6) + 'px';
+			this.card.style.display = 'block';
+		}
+
+		hideCard() {
+			if (this.card) {
+				this.card.style.display = 'none';
+			}
+		}
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.rangeForOffsets = rangeForOffsets;
+	exports.TypoHighlighter = TypoHighlighter;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
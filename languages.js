@@ -0,0 +1,105 @@
+// The languages TypoNoMo reads posts in, and how it tells them apart.
+//
+// Each language has
+//   words    its base dictionary, one word per line (see lexicon.js)
+//   cues     words that introduce a link when they come right before it, like
+//            'visit' or 'via' ('parts' match inside a word, e.g. 'website')
+//   common   very common words, which tell the language of a post
+//   letters  letters it uses that English does not
+// detect() picks the language of a post from its words and letters. Posts
+// that give no clue are English, the language the model was trained on.
+
+var Languages = (function(exports){
+
+	var DEFAULT = 'en';
+
+	var LANGUAGES = {
+		en: {
+			name: 'English',
+			words: 'words.txt',
+			cues: {words: ['on', 'via', 'to', 'at'], parts: ['website', 'visit', ':']},
+			common: ['the', 'and', 'is', 'are', 'was', 'you', 'that', 'this', 'with', 'for', 'have', 'it', 'of', 'not', 'what', 'just', 'my', 'your', 'will', 'be'],
+			letters: ''
+		},
+		es: {
+			name: 'Spanish',
+			words: 'words-es.txt',
+			cues: {words: ['en', 'vía', 'via', 'a', 'aquí', 'aqui'], parts: ['visita', 'web', 'sitio', 'página', 'pagina', 'enlace', ':']},
+			common: ['el', 'la', 'los', 'las', 'que', 'y', 'es', 'en', 'un', 'una', 'por', 'con', 'para', 'del', 'se', 'no', 'muy', 'pero', 'como', 'más', 'está', 'hoy', 'yo', 'mi'],
+			letters: 'ñ¿¡áíóú'
+		},
+		de: {
+			name: 'German',
+			words: 'words-de.txt',
+			cues: {words: ['auf', 'unter', 'via', 'bei', 'hier', 'zu'], parts: ['besuch', 'webseite', 'website', 'seite', 'link', ':']},
+			common: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'wir', 'sie', 'ein', 'eine', 'mit', 'für', 'auf', 'auch', 'heute', 'sind', 'zu', 'von', 'den', 'dem', 'noch', 'aber'],
+			letters: 'äöüß'
+		},
+		tr: {
+			name: 'Turkish',
+			words: 'words-tr.txt',
+			cues: {words: ['link', 'adres', 'burada', 'buradan'], parts: ['ziyaret', 'sitesi', 'sitemiz', 'adresi', 'sayfa', 'bağlantı', 'web', ':']},
+			common: ['ve', 'bir', 'bu', 'da', 'de', 'için', 'ile', 'çok', 'ne', 'ben', 'sen', 'biz', 'var', 'yok', 'gibi', 'daha', 'ama', 'mi', 'mı', 'olarak', 'bugün', 'her', 'şey', 'değil'],
+			letters: 'çğıİöşü'
+		}
+	};
+
+	// Letters and digits of any script, e.g. 'straße' or 'çok'
+	var WORD = /[\p{L}\p{M}\p{N}_]+/gu;
+
+	// Lower case the way the language writes it: Turkish 'I' is 'ı', not 'i'
+	function lower(text, code) {
+		return code && LANGUAGES[code] ? text.toLocaleLowerCase(code) : text.toLowerCase();
+	}
+
+	// The words of text, in lower case
+	function words(text, code) {
+		return lower(text, code).match(WORD) || [];
+	}
+
+	// Code of the language text is most likely in: every common word of a
+	// language counts two points for it and every letter of its own one. Words
+	// right after a dot are left out, as they are often TLDs ('de' in
+	// example.de is no German word).
+	function detect(text) {
+		var lowered = lower(text);
+		var tokens = Array.from(lowered.matchAll(WORD))
+			.filter((match) => lowered[match.index - 1] !== '.')
+			.map((match) => match[0]);
+		var best = DEFAULT;
+		var bestScore = 0;
+		Object.keys(LANGUAGES).forEach((code) => {
+			var language = LANGUAGES[code];
+			var score = 2 * tokens.filter((token) => language.common.includes(token)).length;
+			Array.from(text).forEach((character) => {
+				if (language.letters.includes(character) || language.letters.includes(character.toLowerCase())) {
+					score++;
+				}
+			});
+			if (score > bestScore) {
+				best = code;
+				bestScore = score;
+			}
+		});
+		return best;
+	}
+
+	// Whether word, right before a URL, introduces it as a link in language
+	function introducesLink(word, code) {
+		var cues = (LANGUAGES[code] || LANGUAGES[DEFAULT]).cues;
+		word = lower(word, code);
+		return cues.words.includes(word) || cues.parts.some((part) => word.includes(part));
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.DEFAULT = DEFAULT;
+	exports.LANGUAGES = LANGUAGES;
+	exports.WORD = WORD;
+	exports.lower = lower;
+	exports.words = words;
+	exports.detect = detect;
+	exports.introducesLink = introducesLink;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,227 @@
+// The dictionary behind "is this a word", in layers:
+//   base      the dictionary of the post's language (words.txt for English,
+//             words-es.txt and so on, see languages.js), most common first,
+//             and the English one after it: posts in other languages borrow
+//             English words
+//   team      word lists a team shares, e.g. product names or jargon, each
+//             with a name
+//   personal  the user's own words, e.g. slang
+//   never     words that never count as words, whichever layer has them
+// Prefiltering and the string feature ask the Lexicon; every question is one
+// hash lookup per layer. Words are kept in lower case, and has() ignores case.
+//
+// The base dictionary ships with the extension. The other lists are edited on
+// the options page and kept in chrome.storage.local, which has room for long
+// lists (chrome.storage.sync does not):
+//   {team: [{name, words}], personal: [words], never: [words]}
+
+var Lexicon = (function(exports){
+
+	var STORAGE_KEY = 'lexicon';
+
+	class WordSet {
+		// words is a list of words, in any case; the first word has rank 1.
+		// ranked is how many of them are in frequency order (all by default).
+		constructor(words, ranked) {
+			this.ranks = new Map();
+			(words || []).forEach((word) => this.add(word));
+			this.ranked = ranked === undefined ? Infinity : ranked;
+		}
+
+		add(word) {
+			word = String(word).trim().toLowerCase();
+			if (word.length > 0 && !this.ranks.has(word)) {
+				this.ranks.set(word, this.ranks.size + 1);
+			}
+			return this;
+		}
+
+		has(word) {
+			return typeof word == 'string' && this.ranks.has(word.toLowerCase());
+		}
+
+		// Position of word in the list, or null when it is not in it or
+		// comes after the ranked words
+		rank(word) {
+			var rank = this.has(word) ? this.ranks.get(word.toLowerCase()) : null;
+			return rank !== null && rank <= this.ranked ? rank : null;
+		}
+
+		list() {
+			return Array.from(this.ranks.keys());
+		}
+
+		get size() {
+			return this.ranks.size;
+		}
+	}
+
+	class LayeredLexicon {
+		// base is a WordSet, or several to be asked in turn, and lists are the
+		// user's lists (see normalizeLists)
+		constructor(base, lists) {
+			lists = lists || emptyLists();
+			this.bases = Array.isArray(base) ? base : [base];
+			this.team = lists.team.map((list) => ({name: list.name, words: new WordSet(list.words)}));
+			this.personal = new WordSet(lists.personal);
+			this.never = new WordSet(lists.never);
+		}
+
+		has(word) {
+			return this.layerOf(word) !== null;
+		}
+
+		// 'base', 'personal' or the name of the team list that has word, or
+		// null when it is not a word (or on the never list)
+		layerOf(word) {
+			if (typeof word != 'string' || this.never.has(word)) {
+				return null;
+			}
+			if (this.personal.has(word)) {
+				return 'personal';
+			}
+			var team = this.team.filter((list) => list.words.has(word))[0];
+			if (team) {
+				return team.name;
+			}
+			return this.bases.some((base) => base.has(word)) ? 'base' : null;
+		}
+
+		// Frequency rank of word in the first base dictionary that has it, or null
+		rank(word) {
+			if (!this.has(word)) {
+				return null;
+			}
+			var base = this.bases.filter((set) => set.has(word))[0];
+			return base ? base.rank(word) : null;
+		}
+
+		get size() {
+			var words = new Set();
+			this.bases.concat([this.personal], this.team.map((list) => list.words)).forEach((layer) => {
+				layer.list().forEach((word) => words.add(word));
+			});
+			return words.size;
+		}
+	}
+
+	// A word list with one word per line; lines starting with # are comments
+	// A word list as in words.txt; a "# Ranked: n" comment says that only
+	// its first n words are in frequency order
+	function parse(text) {
+		var ranked = /^#\s*Ranked:\s*(\d+)\s*$/im.exec(text);
+		return new WordSet(parseList(text), ranked ? Number(ranked[1]) : undefined);
+	}
+
+	function parseList(text) {
+		return text.split(/\n|\r/g).filter((line) => !line.startsWith('#')).map((line) => line.trim()).filter((line) => line.length > 0);
+	}
+
+	function emptyLists() {
+		return {team: [], personal: [], never: []};
+	}
+
+	function normalizeWords(words, name) {
+		if (!Array.isArray(words) || words.some((word) => typeof word !== 'string')) {
+			throw new Error(name + ' must be a list of words');
+		}
+		words = words.map((word) => word.trim().toLowerCase()).filter((word) => word.length > 0);
+		var invalid = words.filter((word) => /\s/.test(word));
+		if (invalid.length > 0) {
+			throw new Error(name + ' has entries that are not single words: ' + invalid.join(', '));
+		}
+		return Array.from(new Set(words));
+	}
+
+	// Checks the user's lists (from storage or the options page) and fills in
+	// what is missing. Throws on anything invalid.
+	function normalizeLists(raw) {
+		if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+			throw new Error('Word lists must be a JSON object');
+		}
+		var lists = emptyLists();
+		if (raw.team !== undefined) {
+			if (!Array.isArray(raw.team)) {
+				throw new Error('team must be a list of word lists');
+			}
+			lists.team = raw.team.map((list) => {
+				if (list === null || typeof list !== 'object' || typeof list.name !== 'string' || list.name.trim().length == 0) {
+					throw new Error('Every team word list needs a name');
+				}
+				return {name: list.name.trim(), words: normalizeWords(list.words, list.name)};
+			});
+		}
+		['personal', 'never'].forEach((name) => {
+			if (raw[name] !== undefined) {
+				lists[name] = normalizeWords(raw[name], name);
+			}
+		});
+		return lists;
+	}
+
+	function hasLocalStorage() {
+		return typeof chrome != 'undefined' && chrome.storage && chrome.storage.local;
+	}
+
+	// Resolves to the stored lists, or empty ones. Stored lists that do not
+	// pass normalizeLists() are ignored rather than breaking the extension.
+	function load() {
+		if (!hasLocalStorage()) {
+			return Promise.resolve(emptyLists());
+		}
+		return new Promise((resolve) => {
+			chrome.storage.local.get(STORAGE_KEY, (items) => {
+				try {
+					resolve(items[STORAGE_KEY] ? normalizeLists(items[STORAGE_KEY]) : emptyLists());
+				} catch (error) {
+					console.warn('Ignoring invalid TypoNoMo word lists:', error.message);
+					resolve(emptyLists());
+				}
+			});
+		});
+	}
+
+	function save(lists) {
+		var items = {};
+		items[STORAGE_KEY] = normalizeLists(lists);
+		return new Promise((resolve, reject) => {
+			chrome.storage.local.set(items, () => {
+				if (chrome.runtime.lastError) {
+					reject(new Error(chrome.runtime.lastError.message));
+				} else {
+					resolve(items[STORAGE_KEY]);
+				}
+			});
+		});
+	}
+
+	// Calls listener(lists) whenever the lists are saved
+	function onChanged(listener) {
+		if (!hasLocalStorage()) {
+			return;
+		}
+		chrome.storage.onChanged.addListener((changes, area) => {
+			if (area === 'local' && changes[STORAGE_KEY]) {
+				try {
+					listener(normalizeLists(changes[STORAGE_KEY].newValue || {}));
+				} catch (error) {
+					console.warn('Ignoring invalid TypoNoMo word lists:', error.message);
+				}
+			}
+		});
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.WordSet = WordSet;
+	exports.LayeredLexicon = LayeredLexicon;
+	exports.parse = parse;
+	exports.parseList = parseList;
+	exports.emptyLists = emptyLists;
+	exports.normalizeLists = normalizeLists;
+	exports.load = load;
+	exports.save = save;
+	exports.onChanged = onChanged;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
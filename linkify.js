@@ -0,0 +1,266 @@
+// Finds URLs in raw text the way Twitter links them.
+//
+// Twitter turns text into links with the rules of its twitter-text library,
+// and a typo URL only does harm once it is a link, so on Twitter the detector
+// looks at exactly the URLs twitter-text would link instead of at how the
+// editor happens to style them. This is a port of extractUrlsWithIndices() of
+// twitter-text 3.1.0:
+// - A URL is a domain whose last label is one of twitter-text's TLDs (GTLDS
+//   and CCTLDS below) or Punycode, not followed by an ASCII letter or digit,
+//   @, + or -; with an optional http:// or https://, port, path and query.
+// - It may not follow a letter, digit, @, $ or # (handles, emails, cashtags
+//   and hashtags); without a protocol it may not follow - _ . or / either.
+// - Without a protocol only the ASCII parts of the domain are linked, each on
+//   its own; a bare name plus country code (it.so) is linked like any other.
+// - Paths and queries end on a letter, digit or one of + - = _ # / &, so the
+//   punctuation after a URL is left out; parentheses are kept when they are
+//   balanced.
+// - No label may be longer than DNS allows once in Punycode, nor the URL
+//   longer than 4096 characters with its protocol; https://t.co/ links end
+//   after their code and query, and are not linked when the code is longer
+//   than 40 characters.
+// The TLDs are twitter-text's own lists, not the Public Suffix List's, as
+// Twitter links only what they hold. To follow a newer twitter-text, copy the
+// lists of its src/regexp/validGTLD.js and validCCTLD.js, in their order, and
+// move the version in package.json: test/linkify.test.js checks this port
+// against that version of the library.
+
+var Linkify = (function(exports){
+
+	var punycode = typeof require != 'undefined' ? require('./punycode.js') : self.Punycode;
+
+	var MAX_URL_LENGTH = 4096;
+	var MAX_LABEL_LENGTH = 63;
+	var MAX_TCO_CODE_LENGTH = 40;
+	// Counted in the length of a URL without a protocol
+	var DEFAULT_PROTOCOL = 'https://';
+
+	// Generic TLDs of twitter-text 3.1.0 (validGTLD.js)
+	var GTLDS = (
+		'삼성|닷컴|닷넷|香格里拉|餐厅|食品|飞利浦|電訊盈科|集团|通販|购物|谷歌|诺基亚|联通|网络|网站|网店|网址|组织机构|移动|珠宝|点看|游戏|淡马锡|机构|書籍|时尚|' +
+		'新闻|政府|政务|招聘|手表|手机|我爱你|慈善|微博|广东|工行|家電|娱乐|天主教|大拿|大众汽车|在线|嘉里大酒店|嘉里|商标|商店|商城|公益|公司|八卦|健康|信息|' +
+		'佛山|企业|中文网|中信|世界|ポイント|ファッション|セール|ストア|コム|グーグル|クラウド|みんな|คอม|संगठन|नेट|कॉम|همراه|موقع|موبايلي|' +
+		'كوم|كاثوليك|عرب|شبكة|بيتك|بازار|العليان|ارامكو|اتصالات|ابوظبي|קום|сайт|рус|орг|онлайн|' +
+		'москва|ком|католик|дети|zuerich|zone|zippo|zip|zero|zara|zappos|yun|youtube|you|yokohama|' +
+		'yoga|yodobashi|yandex|yamaxun|yahoo|yachts|xyz|xxx|xperia|xin|xihuan|xfinity|xerox|xbox|' +
+		'wtf|wtc|wow|world|works|work|woodside|wolterskluwer|wme|winners|wine|windows|win|' +
+		'williamhill|wiki|wien|whoswho|weir|weibo|wedding|wed|website|weber|webcam|weatherchannel|' +
+		'weather|watches|watch|warman|wanggou|wang|walter|walmart|wales|vuelos|voyage|voto|voting|' +
+		'vote|volvo|volkswagen|vodka|vlaanderen|vivo|viva|vistaprint|vista|vision|visa|virgin|vip|' +
+		'vin|villas|viking|vig|video|viajes|vet|versicherung|vermögensberatung|vermögensberater|' +
+		'verisign|ventures|vegas|vanguard|vana|vacations|ups|uol|uno|university|unicom|uconnect|' +
+		'ubs|ubank|tvs|tushu|tunes|tui|tube|trv|trust|travelersinsurance|travelers|travelchannel|' +
+		'travel|training|trading|trade|toys|toyota|town|tours|total|toshiba|toray|top|tools|tokyo|' +
+		'today|tmall|tkmaxx|tjx|tjmaxx|tirol|tires|tips|tiffany|tienda|tickets|tiaa|theatre|' +
+		'theater|thd|teva|tennis|temasek|telefonica|telecity|tel|technology|tech|team|tdk|tci|taxi|' +
+		'tax|tattoo|tatar|tatamotors|target|taobao|talk|taipei|tab|systems|symantec|sydney|swiss|' +
+		'swiftcover|swatch|suzuki|surgery|surf|support|supply|supplies|sucks|style|study|studio|' +
+		'stream|store|storage|stockholm|stcgroup|stc|statoil|statefarm|statebank|starhub|star|' +
+		'staples|stada|srt|srl|spreadbetting|spot|sport|spiegel|space|soy|sony|song|solutions|' +
+		'solar|sohu|software|softbank|social|soccer|sncf|smile|smart|sling|skype|sky|skin|ski|site|' +
+		'singles|sina|silk|shriram|showtime|show|shouji|shopping|shop|shoes|shiksha|shia|shell|' +
+		'shaw|sharp|shangrila|sfr|sexy|sex|sew|seven|ses|services|sener|select|seek|security|' +
+		'secure|seat|search|scot|scor|scjohnson|science|schwarz|schule|school|scholarships|schmidt|' +
+		'schaeffler|scb|sca|sbs|sbi|saxo|save|sas|sarl|sapo|sap|sanofi|sandvikcoromant|sandvik|' +
+		'samsung|samsclub|salon|sale|sakura|safety|safe|saarland|ryukyu|rwe|run|ruhr|rugby|rsvp|' +
+		'room|rogers|rodeo|rocks|rocher|rmit|rip|rio|ril|rightathome|ricoh|richardli|rich|rexroth|' +
+		'reviews|review|restaurant|rest|republican|report|repair|rentals|rent|ren|reliance|reit|' +
+		'reisen|reise|rehab|redumbrella|redstone|red|recipes|realty|realtor|realestate|read|raid|' +
+		'radio|racing|qvc|quest|quebec|qpon|pwc|pub|prudential|pru|protection|property|properties|' +
+		'promo|progressive|prof|productions|prod|pro|prime|press|praxi|pramerica|post|porn|politie|' +
+		'poker|pohl|pnc|plus|plumbing|playstation|play|place|pizza|pioneer|pink|ping|pin|pid|' +
+		'pictures|pictet|pics|piaget|physio|photos|photography|photo|phone|philips|phd|pharmacy|' +
+		'pfizer|pet|pccw|pay|passagens|party|parts|partners|pars|paris|panerai|panasonic|' +
+		'pamperedchef|page|ovh|ott|otsuka|osaka|origins|orientexpress|organic|org|orange|oracle|' +
+		'open|ooo|onyourside|online|onl|ong|one|omega|ollo|oldnavy|olayangroup|olayan|okinawa|' +
+		'office|off|observer|obi|nyc|ntt|nrw|nra|nowtv|nowruz|now|norton|northwesternmutual|nokia|' +
+		'nissay|nissan|ninja|nikon|nike|nico|nhk|ngo|nfl|nexus|nextdirect|next|news|newholland|new|' +
+		'neustar|network|netflix|netbank|net|nec|nba|navy|natura|nationwide|name|nagoya|nadex|nab|' +
+		'mutuelle|mutual|museum|mtr|mtpc|mtn|msd|movistar|movie|mov|motorcycles|moto|moscow|' +
+		'mortgage|mormon|mopar|montblanc|monster|money|monash|mom|moi|moe|moda|mobily|mobile|mobi|' +
+		'mma|mls|mlb|mitsubishi|mit|mint|mini|mil|microsoft|miami|metlife|merckmsd|meo|menu|men|' +
+		'memorial|meme|melbourne|meet|media|med|mckinsey|mcdonalds|mcd|mba|mattel|maserati|' +
+		'marshalls|marriott|markets|marketing|market|map|mango|management|man|makeup|maison|maif|' +
+		'madrid|macys|luxury|luxe|lupin|lundbeck|ltda|ltd|lplfinancial|lpl|love|lotto|lotte|london|' +
+		'lol|loft|locus|locker|loans|loan|llp|llc|lixil|living|live|lipsy|link|linde|lincoln|limo|' +
+		'limited|lilly|like|lighting|lifestyle|lifeinsurance|life|lidl|liaison|lgbt|lexus|lego|' +
+		'legal|lefrak|leclerc|lease|lds|lawyer|law|latrobe|latino|lat|lasalle|lanxess|landrover|' +
+		'land|lancome|lancia|lancaster|lamer|lamborghini|ladbrokes|lacaixa|kyoto|kuokgroup|kred|' +
+		'krd|kpn|kpmg|kosher|komatsu|koeln|kiwi|kitchen|kindle|kinder|kim|kia|kfh|kerryproperties|' +
+		'kerrylogistics|kerryhotels|kddi|kaufen|juniper|juegos|jprs|jpmorgan|joy|jot|joburg|jobs|' +
+		'jnj|jmp|jll|jlc|jio|jewelry|jetzt|jeep|jcp|jcb|java|jaguar|iwc|iveco|itv|itau|istanbul|' +
+		'ist|ismaili|iselect|irish|ipiranga|investments|intuit|international|intel|int|insure|' +
+		'insurance|institute|ink|ing|info|infiniti|industries|inc|immobilien|immo|imdb|imamat|' +
+		'ikano|iinet|ifm|ieee|icu|ice|icbc|ibm|hyundai|hyatt|hughes|htc|hsbc|how|house|hotmail|' +
+		'hotels|hoteles|hot|hosting|host|hospital|horse|honeywell|honda|homesense|homes|homegoods|' +
+		'homedepot|holiday|holdings|hockey|hkt|hiv|hitachi|hisamitsu|hiphop|hgtv|hermes|here|' +
+		'helsinki|help|healthcare|health|hdfcbank|hdfc|hbo|haus|hangout|hamburg|hair|guru|guitars|' +
+		'guide|guge|gucci|guardian|group|grocery|gripe|green|gratis|graphics|grainger|gov|got|gop|' +
+		'google|goog|goodyear|goodhands|goo|golf|goldpoint|gold|godaddy|gmx|gmo|gmbh|gmail|globo|' +
+		'global|gle|glass|glade|giving|gives|gifts|gift|ggee|george|genting|gent|gea|gdn|gbiz|gay|' +
+		'garden|gap|games|game|gallup|gallo|gallery|gal|fyi|futbol|furniture|fund|fun|fujixerox|' +
+		'fujitsu|ftr|frontier|frontdoor|frogans|frl|fresenius|free|fox|foundation|forum|forsale|' +
+		'forex|ford|football|foodnetwork|food|foo|fly|flsmidth|flowers|florist|flir|flights|flickr|' +
+		'fitness|fit|fishing|fish|firmdale|firestone|fire|financial|finance|final|film|fido|' +
+		'fidelity|fiat|ferrero|ferrari|feedback|fedex|fast|fashion|farmers|farm|fans|fan|family|' +
+		'faith|fairwinds|fail|fage|extraspace|express|exposed|expert|exchange|everbank|events|eus|' +
+		'eurovision|etisalat|esurance|estate|esq|erni|ericsson|equipment|epson|epost|enterprises|' +
+		'engineering|engineer|energy|emerck|email|education|edu|edeka|eco|eat|earth|dvr|dvag|' +
+		'durban|dupont|duns|dunlop|duck|dubai|dtv|drive|download|dot|doosan|domains|doha|dog|dodge|' +
+		'doctor|docs|dnp|diy|dish|discover|discount|directory|direct|digital|diet|diamonds|dhl|dev|' +
+		'design|desi|dentist|dental|democrat|delta|deloitte|dell|delivery|degree|deals|dealer|deal|' +
+		'dds|dclk|day|datsun|dating|date|data|dance|dad|dabur|cyou|cymru|cuisinella|csc|cruises|' +
+		'cruise|crs|crown|cricket|creditunion|creditcard|credit|cpa|courses|coupons|coupon|country|' +
+		'corsica|coop|cool|cookingchannel|cooking|contractors|contact|consulting|construction|' +
+		'condos|comsec|computer|compare|company|community|commbank|comcast|com|cologne|college|' +
+		'coffee|codes|coach|clubmed|club|cloud|clothing|clinique|clinic|click|cleaning|claims|' +
+		'cityeats|city|citic|citi|citadel|cisco|circle|cipriani|church|chrysler|chrome|christmas|' +
+		'chloe|chintai|cheap|chat|chase|charity|channel|chanel|cfd|cfa|cern|ceo|center|ceb|cbs|' +
+		'cbre|cbn|cba|catholic|catering|cat|casino|cash|caseih|case|casa|cartier|cars|careers|' +
+		'career|care|cards|caravan|car|capitalone|capital|capetown|canon|cancerresearch|camp|' +
+		'camera|cam|calvinklein|call|cal|cafe|cab|bzh|buzz|buy|business|builders|build|bugatti|' +
+		'budapest|brussels|brother|broker|broadway|bridgestone|bradesco|box|boutique|bot|boston|' +
+		'bostik|bosch|boots|booking|book|boo|bond|bom|bofa|boehringer|boats|bnpparibas|bnl|bmw|bms|' +
+		'blue|bloomberg|blog|blockbuster|blanco|blackfriday|black|biz|bio|bingo|bing|bike|bid|' +
+		'bible|bharti|bet|bestbuy|best|berlin|bentley|beer|beauty|beats|bcn|bcg|bbva|bbt|bbc|' +
+		'bayern|bauhaus|basketball|baseball|bargains|barefoot|barclays|barclaycard|barcelona|bar|' +
+		'bank|band|bananarepublic|banamex|baidu|baby|azure|axa|aws|avianca|autos|auto|author|' +
+		'auspost|audio|audible|audi|auction|attorney|athleta|associates|asia|asda|arte|art|arpa|' +
+		'army|archi|aramco|arab|aquarelle|apple|app|apartments|aol|anz|anquan|android|analytics|' +
+		'amsterdam|amica|amfam|amex|americanfamily|americanexpress|alstom|alsace|ally|allstate|' +
+		'allfinanz|alipay|alibaba|alfaromeo|akdn|airtel|airforce|airbus|aigo|aig|agency|agakhan|' +
+		'africa|afl|afamilycompany|aetna|aero|aeg|adult|ads|adac|actor|active|aco|accountants|' +
+		'accountant|accenture|academy|abudhabi|abogado|able|abc|abbvie|abbott|abb|abarth|aarp|aaa|' +
+		'onion'
+	).split('|');
+
+	// Country code TLDs of twitter-text 3.1.0 (validCCTLD.js)
+	var CCTLDS = (
+		'한국|香港|澳門|新加坡|台灣|台湾|中國|中国|გე|ລາວ|ไทย|ලංකා|ഭാരതം|ಭಾರತ|భారత్|சிங்கப்பூர்|இலங்கை|இந்தியா|ଭାରତ|' +
+		'ભારત|ਭਾਰਤ|ভাৰত|ভারত|বাংলা|भारोत|भारतम्|भारत|ڀارت|پاکستان|موريتانيا|مليسيا|مصر|قطر|فلسطين|' +
+		'عمان|عراق|سورية|سودان|تونس|بھارت|بارت|ایران|امارات|المغرب|السعودية|الجزائر|البحرين|الاردن|' +
+		'հայ|қаз|укр|срб|рф|мон|мкд|ею|бел|бг|ευ|ελ|zw|zm|za|yt|ye|ws|wf|vu|vn|vi|vg|ve|vc|va|uz|' +
+		'uy|us|um|uk|ug|ua|tz|tw|tv|tt|tr|tp|to|tn|tm|tl|tk|tj|th|tg|tf|td|tc|sz|sy|sx|sv|su|st|ss|' +
+		'sr|so|sn|sm|sl|sk|sj|si|sh|sg|se|sd|sc|sb|sa|rw|ru|rs|ro|re|qa|py|pw|pt|ps|pr|pn|pm|pl|pk|' +
+		'ph|pg|pf|pe|pa|om|nz|nu|nr|np|no|nl|ni|ng|nf|ne|nc|na|mz|my|mx|mw|mv|mu|mt|ms|mr|mq|mp|mo|' +
+		'mn|mm|ml|mk|mh|mg|mf|me|md|mc|ma|ly|lv|lu|lt|ls|lr|lk|li|lc|lb|la|kz|ky|kw|kr|kp|kn|km|ki|' +
+		'kh|kg|ke|jp|jo|jm|je|it|is|ir|iq|io|in|im|il|ie|id|hu|ht|hr|hn|hm|hk|gy|gw|gu|gt|gs|gr|gq|' +
+		'gp|gn|gm|gl|gi|gh|gg|gf|ge|gd|gb|ga|fr|fo|fm|fk|fj|fi|eu|et|es|er|eh|eg|ee|ec|dz|do|dm|dk|' +
+		'dj|de|cz|cy|cx|cw|cv|cu|cr|co|cn|cm|cl|ck|ci|ch|cg|cf|cd|cc|ca|bz|by|bw|bv|bt|bs|br|bq|bo|' +
+		'bn|bm|bl|bj|bi|bh|bg|bf|be|bd|bb|ba|az|ax|aw|au|at|as|ar|aq|ao|an|am|al|ai|ag|af|ae|ad|ac'
+	).split('|');
+
+	// Character classes of twitter-text (src/regexp)
+	var PUNCTUATION = '\\!\'#%&\'\\(\\)*\\+,\\\\\\-\\.\\/:;<=>\\?@\\[\\]\\^_{|}~\\$';
+	var SPACES = '\\x09-\\x0D\\x20\\x85\\xA0\\u1680\\u180E\\u2000-\\u200A\\u2028\\u2029\\u202F\\u205F\\u3000';
+	var INVALID = '\\uFFFE\\uFEFF\\uFFFF';
+	var DIRECTIONAL_MARKERS = '\\u202A-\\u202E\\u061C\\u200E\\u200F\\u2066\\u2067\\u2068\\u2069';
+	var LATIN_ACCENTS = '\\xC0-\\xD6\\xD8-\\xF6\\xF8-\\xFF\\u0100-\\u024F\\u0253\\u0254\\u0256\\u0257\\u0259\\u025B\\u0263\\u0268\\u026F\\u0272\\u0289\\u028B\\u02BB\\u0300-\\u036F\\u1E00-\\u1EFF';
+	var CYRILLIC = '\\u0400-\\u04FF';
+
+	var PRECEDING = '(?:[^A-Za-z0-9@\\uFF20$#\\uFF03' + INVALID + ']|[' + DIRECTIONAL_MARKERS + ']|^)';
+	var DOMAIN_CHARS = '[^' + PUNCTUATION + SPACES + INVALID + DIRECTIONAL_MARKERS + ']';
+	var SUBDOMAIN = '(?:(?:' + DOMAIN_CHARS + '(?:[_-]|' + DOMAIN_CHARS + ')*)?' + DOMAIN_CHARS + '\\.)';
+	var DOMAIN_NAME = '(?:(?:' + DOMAIN_CHARS + '(?:-|' + DOMAIN_CHARS + ')*)?' + DOMAIN_CHARS + '\\.)';
+	var TLD_END = '(?=[^0-9a-zA-Z@+-]|$)';
+	var TLD = '(?:(?:' + GTLDS.join('|') + ')' + TLD_END + ')|(?:(?:' + CCTLDS.join('|') + ')' + TLD_END + ')|(?:xn--[-0-9a-z]+)';
+	var DOMAIN = '(?:' + SUBDOMAIN + '*' + DOMAIN_NAME + '(?:' + TLD + '))';
+	var ASCII_DOMAIN = '(?:(?:[\\-a-z0-9' + LATIN_ACCENTS + ']+)\\.)+(?:' + TLD + ')';
+	var PATH_CHARS = '[a-z' + CYRILLIC + '0-9!\\*\';:=\\+,\\.\\$\\/%#\\[\\]\\-\\u2013_~@\\|&' + LATIN_ACCENTS + ']';
+	var BALANCED_PARENS = '\\((?:' + PATH_CHARS + '+|(?:' + PATH_CHARS + '*\\(' + PATH_CHARS + '+\\)' + PATH_CHARS + '*))\\)';
+	var PATH_ENDING = '(?:[\\+\\-a-z' + CYRILLIC + '0-9=_#\\/' + LATIN_ACCENTS + ']|(?:' + BALANCED_PARENS + '))';
+	var PATH = '(?:(?:' + PATH_CHARS + '*(?:' + BALANCED_PARENS + PATH_CHARS + '*)*' + PATH_ENDING + ')|(?:@' + PATH_CHARS + '+\\/))';
+	var QUERY = '\\?[a-z0-9!?\\*\'@\\(\\);:&=\\+\\$\\/%#\\[\\]\\-_\\.,~|]*[a-z0-9\\-_&=#\\/]';
+	var TCO = new RegExp('^https?:\\/\\/t\\.co\\/([a-z0-9]+)(?:' + QUERY + ')?', 'i');
+	// What separates labels to Punycode.toASCII() of twitter-text
+	var LABEL_SEPARATORS = /[\x2E\u3002\uFF0E\uFF61]/;
+
+	class Linkifier {
+		constructor() {
+			// groups: 1 what comes before, 2 the URL, 3 protocol, 4 domain, 5 port, 6 path, 7 query
+			this.url = new RegExp('(' + PRECEDING + ')((https?:\\/\\/)?(' + DOMAIN + ')(?::([0-9]+))?(\\/' + PATH + '*)?(' + QUERY + ')?)', 'gi');
+			this.asciiDomain = new RegExp(ASCII_DOMAIN, 'gi');
+		}
+
+		// The URLs in text, in text order: [{url, start, end, protocol}]
+		// where protocol is whether url starts with http:// or https://. url
+		// is text.slice(start, end) but for a domain with a path that is only
+		// partly ASCII, where, as in twitter-text, it is the ASCII domain plus
+		// the path and end the end of the path. options.protocolOnly leaves
+		// out URLs without a protocol, as Twitter does in some places.
+		extract(text, options) {
+			options = options || {};
+			var urls = new Array();
+			if (!text || !(options.protocolOnly ? /:/ : /\./).test(text)) {
+				return urls;
+			}
+			var match;
+			this.url.lastIndex = 0;
+			while ((match = this.url.exec(text)) !== null) {
+				var before = match[1];
+				var url = match[2];
+				var protocol = match[3];
+				var domain = match[4];
+				var path = match[6];
+				var start = match.index + before.length;
+				var end = start + url.length;
+				if (!this.isValidDomain(domain) || (protocol || DEFAULT_PROTOCOL).length + url.length > MAX_URL_LENGTH) {
+					continue;
+				}
+				if (protocol) {
+					// t.co links end after their code and query
+					var tco = url.match(TCO);
+					if (tco) {
+						if (tco[1].length > MAX_TCO_CODE_LENGTH) {
+							continue;
+						}
+						url = tco[0];
+						end = start + url.length;
+					}
+					urls.push({url: url, start: start, end: end, protocol: true});
+					continue;
+				}
+				if (options.protocolOnly || /[-_.\/]$/.test(before)) {
+					continue;
+				}
+				// only the ASCII parts of the domain are linked
+				var last = null;
+				var asciiEnd = 0;
+				var part;
+				this.asciiDomain.lastIndex = 0;
+				while ((part = this.asciiDomain.exec(domain)) !== null) {
+					var asciiStart = domain.indexOf(part[0], asciiEnd);
+					asciiEnd = asciiStart + part[0].length;
+					last = {url: part[0], start: start + asciiStart, end: start + asciiEnd, protocol: false};
+					urls.push(last);
+				}
+				// the path and query go with the last ASCII domain
+				if (last && path) {
+					last.url = url.replace(domain, last.url);
+					last.end = end;
+				}
+			}
+			return urls;
+		}
+
+		// Whether every label of domain fits in DNS once in Punycode, checked
+		// as twitter-text's idna.toAscii() does
+		isValidDomain(domain) {
+			if (domain.startsWith('xn--') && !new RegExp(ASCII_DOMAIN, 'i').test(domain)) {
+				return false;
+			}
+			return domain.split('.').every((label) => {
+				var length = label.split(LABEL_SEPARATORS).map((part) => /[^\0-\x7E]/.test(part) ? 'xn--' + punycode.encode(part) : part).join('.').length;
+				return length > 0 && length <= MAX_LABEL_LENGTH;
+			});
+		}
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.Linkifier = Linkifier;
+	exports.GTLDS = GTLDS;
+	exports.CCTLDS = CCTLDS;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
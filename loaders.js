@@ -0,0 +1,51 @@
+// Where the detector's resources (word list, TLD list, model) come from.
+//
+// A loader has two methods, text(name) and json(name), that return a Promise
+// for the contents of the named resource.
+
+var ResourceLoaders = (function(exports){
+
+	// Resources bundled with the extension (web_accessible_resources)
+	function extensionLoader() {
+		return urlLoader(chrome.runtime.getURL('/'));
+	}
+
+	// Resources fetched relative to base, e.g. the location of a worker script
+	function urlLoader(base) {
+		function get(name) {
+			return fetch(new URL(name, base).href).then((response) => {
+				if (!response.ok) {
+					throw new Error('Could not load ' + name + ': ' + response.status);
+				}
+				return response;
+			});
+		}
+		return {
+			text: (name) => get(name).then((response) => response.text()),
+			json: (name) => get(name).then((response) => response.json())
+		};
+	}
+
+	// Files on disk, for node.js. Relative names are resolved against dir,
+	// which defaults to the directory of the extension sources.
+	function fileLoader(dir) {
+		var fs = require('fs');
+		var path = require('path');
+		dir = dir || __dirname;
+		function read(name) {
+			return fs.promises.readFile(path.resolve(dir, name), 'utf8');
+		}
+		return {
+			text: (name) => read(name),
+			json: (name) => read(name).then((text) => JSON.parse(text))
+		};
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.extensionLoader = extensionLoader;
+	exports.urlLoader = urlLoader;
+	exports.fileLoader = fileLoader;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
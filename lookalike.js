@@ -0,0 +1,246 @@
+// Lookalike domains: links that are one slip away from a popular domain.
+//
+// The typo URL detector catches sentences that lost their space; this one
+// catches domains that were mistyped, or made to look like another one by a
+// typosquatter: gooogle.com, goolge.com, paypa1.com. The registrable domain
+// of every link is compared with a reference list (domains.txt, plus the
+// user's own brands, see settings.js), name against name. A name is a
+// lookalike when it is one edit away from a reference name (a letter left
+// out, added, changed or two swapped, see KINDS) or when it only differs in
+// characters that look alike (1 for l, rn for m, Cyrillic а for Latin a), and
+// its suffix is the reference's own or could be taken for it (see
+// confusableSuffix()): gooogle.co is google.com, but well.so is not dell.com.
+// Names shorter than MIN_LENGTH are too close to too many words to compare.
+
+var Lookalike = (function(exports){
+
+	var MIN_LENGTH = 4;
+
+	// What went wrong, as the warning says it
+	var KINDS = {
+		omission: 'a letter left out',
+		repetition: 'a letter typed twice',
+		insertion: 'a letter added',
+		transposition: 'two letters swapped',
+		keyboard: 'a key next to the right one',
+		substitution: 'a letter changed',
+		homoglyph: 'characters that look alike'
+	};
+
+	var KEYBOARD = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+	// Characters, or pairs of them, and the letters they pass for
+	var HOMOGLYPHS = [
+		['rn', 'm'], ['vv', 'w'], ['cl', 'd'],
+		['0', 'o'], ['1', 'l'], ['3', 'e'], ['5', 's'], ['4', 'a'], ['8', 'b'], ['9', 'g'],
+		['а', 'a'], ['е', 'e'], ['о', 'o'], ['р', 'p'], ['с', 'c'], ['х', 'x'], ['у', 'y'], ['і', 'i'], ['ј', 'j'], ['ԁ', 'd'], ['һ', 'h'], ['ո', 'n'],
+		['ο', 'o'], ['α', 'a'], ['ν', 'v'], ['ι', 'i'], ['ɡ', 'g'], ['ı', 'i']
+	];
+
+	// Whether keys a and b are next to each other on a QWERTY keyboard
+	function adjacent(a, b) {
+		var position = (key) => {
+			var row = KEYBOARD.findIndex((keys) => keys.includes(key));
+			return row == -1 ? null : {row: row, column: KEYBOARD[row].indexOf(key) + row * 0.5};
+		};
+		var p = position(a);
+		var q = position(b);
+		return p !== null && q !== null && a !== b && Math.abs(p.row - q.row) <= 1 && Math.abs(p.column - q.column) <= 1;
+	}
+
+	// name with every lookalike character replaced by the letter it passes for
+	function skeleton(name) {
+		return HOMOGLYPHS.reduce((result, [glyph, letter]) => result.split(glyph).join(letter), name);
+	}
+
+	// Edit distance of a and b, a swap of two neighbours counting as one edit
+	function distance(a, b) {
+		a = Array.from(a);
+		b = Array.from(b);
+		var d = new Array();
+		for (var i = 0; i <= a.length; i++) {
+			d.push(new Array(b.length + 1).fill(0));
+			d[i][0] = i;
+		}
+		for (var j = 0; j <= b.length; j++) {
+			d[0][j] = j;
+		}
+		for (i = 1; i <= a.length; i++) {
+			for (j = 1; j <= b.length; j++) {
+				var cost = a[i - 1] === b[j - 1] ? 0 : 1;
+				d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+				if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+					d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+				}
+			}
+		}
+		return d[a.length][b.length];
+	}
+
+	// The kind of the one edit that turns name into reference (see KINDS)
+	function kindOf(name, reference) {
+		var a = Array.from(name);
+		var b = Array.from(reference);
+		var i = 0;
+		while (i < a.length && i < b.length && a[i] === b[i]) {
+			i++;
+		}
+		if (a.length < b.length) {
+			return 'omission';
+		}
+		if (a.length > b.length) {
+			if (a[i] === a[i - 1] || a[i] === a[i + 1]) {
+				return 'repetition';
+			}
+			return adjacent(a[i], a[i - 1]) || adjacent(a[i], a[i + 1]) ? 'keyboard' : 'insertion';
+		}
+		if (a[i] === b[i + 1] && a[i + 1] === b[i]) {
+			return 'transposition';
+		}
+		return adjacent(a[i], b[i]) ? 'keyboard' : 'substitution';
+	}
+
+	// Whether suffix is reference or could be taken for it: the same but for
+	// characters that look alike (cоm with a Cyrillic о), or one slip away
+	// from a suffix of three letters or more (co, cm or con for com). Two
+	// letter suffixes are one slip away from too many other countries.
+	function confusableSuffix(suffix, reference) {
+		if (suffix === reference || skeleton(suffix) === skeleton(reference)) {
+			return true;
+		}
+		return Array.from(reference).length >= 3 && distance(suffix, reference) == 1;
+	}
+
+	// name with one character left out, every way
+	function deletions(name) {
+		var characters = Array.from(name);
+		return characters.map((character, i) => characters.slice(0, i).concat(characters.slice(i + 1)).join(''));
+	}
+
+	class LookalikeIndex {
+		// domains are the reference domains, most popular first, and psl a
+		// PSL.PublicSuffixList
+		constructor(domains, psl) {
+			this.psl = psl;
+			this.domains = new Set();
+			this.names = new Map();     // name -> the split() of its reference domains
+			this.places = new Map();    // name -> its place in popularity order
+			this.skeletons = new Map(); // skeleton of a name -> the names
+			this.deleted = new Map();   // name less one character -> names
+			domains.forEach((domain) => this.add(domain));
+		}
+
+		add(domain) {
+			var parts = this.split(domain);
+			if (!parts || this.domains.has(parts.domain)) {
+				return this;
+			}
+			this.domains.add(parts.domain);
+			if (parts.name.length < MIN_LENGTH) {
+				return this;
+			}
+			if (this.names.has(parts.name)) {
+				this.names.get(parts.name).push(parts);
+				return this;
+			}
+			this.names.set(parts.name, [parts]);
+			this.places.set(parts.name, this.places.size);
+			if (!this.skeletons.has(skeleton(parts.name))) {
+				this.skeletons.set(skeleton(parts.name), new Array());
+			}
+			this.skeletons.get(skeleton(parts.name)).push(parts.name);
+			deletions(parts.name).forEach((deleted) => {
+				if (!this.deleted.has(deleted)) {
+					this.deleted.set(deleted, new Array());
+				}
+				this.deleted.get(deleted).push(parts.name);
+			});
+			return this;
+		}
+
+		// {domain, name, suffix} of host: paypa1.com for login.paypa1.com, with
+		// the name paypa1 and the suffix com; null for a public suffix
+		split(host) {
+			var domain = this.psl.getRegistrableDomain(host);
+			if (!domain) {
+				return null;
+			}
+			var suffix = this.psl.getPublicSuffix(host);
+			return {domain: domain, name: domain.slice(0, domain.length - suffix.length - 1), suffix: suffix};
+		}
+
+		// The reference domain url looks like, or null:
+		//   {domain, kind, suggestion}
+		// kind is one of KINDS and suggestion is url with its domain replaced
+		// by the reference one
+		match(url) {
+			var host = url.split(/[\/?#:]/)[0];
+			var parts = this.split(host);
+			if (!parts || this.domains.has(parts.domain) || this.names.has(parts.name) || Array.from(parts.name).length < MIN_LENGTH) {
+				return null;
+			}
+			var found = null;
+			var lookalike = this.referenceFor(this.skeletons.get(skeleton(parts.name)) || [], parts.suffix);
+			if (lookalike) {
+				found = {domain: lookalike.domain, kind: 'homoglyph'};
+			} else {
+				var candidates = new Set();
+				var name = parts.name;
+				deletions(name).forEach((deleted) => {
+					if (this.names.has(deleted)) {
+						candidates.add(deleted);
+					}
+					(this.deleted.get(deleted) || []).forEach((reference) => candidates.add(reference));
+				});
+				(this.deleted.get(name) || []).forEach((reference) => candidates.add(reference));
+				var close = Array.from(candidates).filter((other) => distance(name, other) == 1)
+					.sort((a, b) => this.places.get(a) - this.places.get(b));
+				var reference = this.referenceFor(close, parts.suffix);
+				if (reference) {
+					found = {domain: reference.domain, kind: kindOf(name, reference.name)};
+				}
+			}
+			if (!found) {
+				return null;
+			}
+			// the labels of the registrable domain are replaced, whether host is
+			// written in Unicode or ASCII
+			var labels = host.split('.');
+			var replaced = labels.slice(0, labels.length - parts.domain.split('.').length).concat([found.domain]).join('.');
+			found.suggestion = replaced + url.slice(host.length);
+			return found;
+		}
+
+		// The most popular reference domain of names (in popularity order)
+		// whose suffix suffix could be taken for, as split() gives it, or null
+		referenceFor(names, suffix) {
+			return [].concat(...names.map((name) => this.names.get(name)))
+				.filter((reference) => confusableSuffix(suffix, reference.suffix))[0] || null;
+		}
+	}
+
+	// A domain list with one domain per line; lines starting with # are comments
+	function parse(text) {
+		return text.split(/\r?\n/).map((line) => line.trim().toLowerCase()).filter((line) => line.length > 0 && !line.startsWith('#'));
+	}
+
+	// What a match says, e.g. "google.com with a letter typed twice"
+	function describe(match) {
+		return match.domain + ' with ' + KINDS[match.kind];
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.MIN_LENGTH = MIN_LENGTH;
+	exports.KINDS = KINDS;
+	exports.LookalikeIndex = LookalikeIndex;
+	exports.adjacent = adjacent;
+	exports.skeleton = skeleton;
+	exports.distance = distance;
+	exports.kindOf = kindOf;
+	exports.confusableSuffix = confusableSuffix;
+	exports.parse = parse;
+	exports.describe = describe;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,363 @@
+// Classifiers the detector can run, behind one interface.
+//
+// A model has
+//   train(data, labels, options)  data is N vectors of features, labels 1 or -1
+//   marginOne(vector)             a score, above 0 for a typo URL
+//   margins(data), predict(data)  the same for many vectors
+//   weights()                     per-feature weights of a linear model, or null
+//   toJSON(), fromJSON(json)      json.type names the backend
+// Backends:
+//   svm       the bundled svmjs SVM, linear or rbf (options C, kernel, rbfsigma)
+//   logistic  L2-regularized logistic regression; the margin is the log-odds
+//             (options C, epochs)
+//   tree      a CART decision tree; the margin is 2p - 1 for the share p of
+//             typo URLs in the leaf (options depth, minLeaf)
+//   stumps    gradient-boosted decision stumps; the margin is the log-odds
+//             (options rounds, learningRate)
+//   ensemble  a weighted average of the margins of other models
+//             (options members: [{weight, backend, ...options of the backend}])
+//
+// A model file may also be a pipeline, {"type": "pipeline", "stages": [...]},
+// whose first stage can be the rule-based Prefiltering, {"type": "prefilter"}:
+// URLs it rules out never reach the model. A bare model (like the SVMs of
+// earlier versions, which have no type at all) runs after Prefiltering, as it
+// always has. featureNames, schemaVersion and calibration are kept at the top
+// of the file either way.
+
+var Models = (function(exports){
+
+	var svmjs = typeof require != 'undefined' ? require('./svm.js') : self.svmjs;
+
+	var BACKENDS = {};
+
+	class Model {
+		margins(data) {
+			return data.map((vector) => this.marginOne(vector));
+		}
+
+		predict(data) {
+			return this.margins(data).map((margin) => margin > 0 ? 1 : -1);
+		}
+
+		weights() {
+			return null;
+		}
+	}
+
+	class SVMModel extends Model {
+		constructor() {
+			super();
+			this.svm = new svmjs.SVM();
+		}
+
+		train(data, labels, options) {
+			options = options || {};
+			var svmOptions = {C: options.C, kernel: options.kernel || 'linear'};
+			if (svmOptions.kernel === 'rbf') {
+				svmOptions.rbfsigma = options.rbfsigma;
+			}
+			this.svm.train(data, labels, svmOptions);
+			return this;
+		}
+
+		marginOne(vector) {
+			return this.svm.marginOne(vector);
+		}
+
+		weights() {
+			return this.svm.kernelType === 'linear' ? this.svm.w : null;
+		}
+
+		toJSON() {
+			return Object.assign({type: 'svm'}, this.svm.toJSON());
+		}
+
+		fromJSON(json) {
+			if (json.kernelType !== 'linear' && json.kernelType !== 'rbf') {
+				throw new Error('Unknown SVM kernel ' + json.kernelType);
+			}
+			this.svm.fromJSON(json);
+			return this;
+		}
+	}
+
+	function sigmoid(z) {
+		return z >= 0 ? 1 / (1 + Math.exp(-z)) : Math.exp(z) / (1 + Math.exp(z));
+	}
+
+	// Minimizes the mean log loss plus |w|^2 / (2 C N) by gradient descent
+	class LogisticModel extends Model {
+		train(data, labels, options) {
+			options = options || {};
+			var C = options.C || 1;
+			var epochs = options.epochs || 1000;
+			var rate = options.learningRate || 0.5;
+			var N = data.length;
+			var D = data[0].length;
+			this.w = new Array(D).fill(0);
+			this.b = 0;
+			for (var epoch = 0; epoch < epochs; epoch++) {
+				var gradW = this.w.map((weight) => weight / (C * N));
+				var gradB = 0;
+				data.forEach((vector, i) => {
+					var error = sigmoid(this.marginOne(vector)) - (labels[i] > 0 ? 1 : 0);
+					for (var j = 0; j < D; j++) {
+						gradW[j] += error * vector[j] / N;
+					}
+					gradB += error / N;
+				});
+				for (var j = 0; j < D; j++) {
+					this.w[j] -= rate * gradW[j];
+				}
+				this.b -= rate * gradB;
+			}
+			return this;
+		}
+
+		marginOne(vector) {
+			var margin = this.b;
+			for (var j = 0; j < this.w.length; j++) {
+				margin += this.w[j] * vector[j];
+			}
+			return margin;
+		}
+
+		weights() {
+			return this.w;
+		}
+
+		toJSON() {
+			return {type: 'logistic', D: this.w.length, w: this.w, b: this.b};
+		}
+
+		fromJSON(json) {
+			this.w = json.w;
+			this.b = json.b;
+			return this;
+		}
+	}
+
+	// Best split of the examples (indexes) on one feature: the threshold and
+	// the score of the split, lower is better. score(left, right) is given
+	// the indexes on each side.
+	function bestSplit(data, indexes, score, minLeaf) {
+		var best = null;
+		var D = data[0].length;
+		for (var feature = 0; feature < D; feature++) {
+			var values = Array.from(new Set(indexes.map((i) => data[i][feature]))).sort((a, b) => a - b);
+			for (var k = 0; k + 1 < values.length; k++) {
+				var threshold = (values[k] + values[k + 1]) / 2;
+				var left = indexes.filter((i) => data[i][feature] <= threshold);
+				var right = indexes.filter((i) => data[i][feature] > threshold);
+				if (left.length < minLeaf || right.length < minLeaf) {
+					continue;
+				}
+				var value = score(left, right);
+				if (best === null || value < best.score) {
+					best = {feature: feature, threshold: threshold, left: left, right: right, score: value};
+				}
+			}
+		}
+		return best;
+	}
+
+	class TreeModel extends Model {
+		train(data, labels, options) {
+			options = options || {};
+			var depth = options.depth || 3;
+			var minLeaf = options.minLeaf || 1;
+			var positives = (indexes) => indexes.filter((i) => labels[i] > 0).length;
+			var gini = (indexes) => {
+				var p = positives(indexes) / indexes.length;
+				return indexes.length * 2 * p * (1 - p);
+			};
+			var grow = (indexes, level) => {
+				var leaf = {value: 2 * (positives(indexes) + 1) / (indexes.length + 2) - 1};
+				if (level >= depth || gini(indexes) == 0) {
+					return leaf;
+				}
+				var split = bestSplit(data, indexes, (left, right) => gini(left) + gini(right), minLeaf);
+				if (split === null || split.score >= gini(indexes)) {
+					return leaf;
+				}
+				return {
+					feature: split.feature,
+					threshold: split.threshold,
+					left: grow(split.left, level + 1),
+					right: grow(split.right, level + 1)
+				};
+			};
+			this.root = grow(data.map((vector, i) => i), 0);
+			return this;
+		}
+
+		marginOne(vector) {
+			var node = this.root;
+			while (node.value === undefined) {
+				node = vector[node.feature] <= node.threshold ? node.left : node.right;
+			}
+			return node.value;
+		}
+
+		toJSON() {
+			return {type: 'tree', root: this.root};
+		}
+
+		fromJSON(json) {
+			this.root = json.root;
+			return this;
+		}
+	}
+
+	// Gradient boosting with the log loss: every round fits a stump to the
+	// residuals and moves its leaves one Newton step, shrunk by learningRate.
+	class StumpsModel extends Model {
+		train(data, labels, options) {
+			options = options || {};
+			var rounds = options.rounds || 50;
+			var rate = options.learningRate || 0.3;
+			var targets = labels.map((label) => label > 0 ? 1 : 0);
+			var positives = targets.filter((target) => target == 1).length;
+			var prior = (positives + 1) / (targets.length + 2);
+			this.base = Math.log(prior / (1 - prior));
+			this.stumps = new Array();
+			var scores = targets.map(() => this.base);
+			var indexes = data.map((vector, i) => i);
+			for (var round = 0; round < rounds; round++) {
+				var residuals = targets.map((target, i) => target - sigmoid(scores[i]));
+				var squaredError = (side) => {
+					var mean = side.reduce((sum, i) => sum + residuals[i], 0) / side.length;
+					return side.reduce((sum, i) => sum + Math.pow(residuals[i] - mean, 2), 0);
+				};
+				var split = bestSplit(data, indexes, (left, right) => squaredError(left) + squaredError(right), 1);
+				if (split === null) {
+					break;
+				}
+				var newton = (side) => {
+					var numerator = side.reduce((sum, i) => sum + residuals[i], 0);
+					var denominator = side.reduce((sum, i) => sum + sigmoid(scores[i]) * (1 - sigmoid(scores[i])), 0);
+					return rate * numerator / Math.max(denominator, 1e-6);
+				};
+				var stump = {feature: split.feature, threshold: split.threshold, left: newton(split.left), right: newton(split.right)};
+				this.stumps.push(stump);
+				data.forEach((vector, i) => {
+					scores[i] += vector[stump.feature] <= stump.threshold ? stump.left : stump.right;
+				});
+			}
+			return this;
+		}
+
+		marginOne(vector) {
+			return this.stumps.reduce((margin, stump) => {
+				return margin + (vector[stump.feature] <= stump.threshold ? stump.left : stump.right);
+			}, this.base);
+		}
+
+		toJSON() {
+			return {type: 'stumps', base: this.base, stumps: this.stumps};
+		}
+
+		fromJSON(json) {
+			this.base = json.base;
+			this.stumps = json.stumps;
+			return this;
+		}
+	}
+
+	class EnsembleModel extends Model {
+		train(data, labels, options) {
+			this.members = options.members.map((member) => ({
+				weight: member.weight === undefined ? 1 : member.weight,
+				model: create(member.backend).train(data, labels, member)
+			}));
+			return this;
+		}
+
+		marginOne(vector) {
+			var total = 0;
+			var weights = 0;
+			this.members.forEach((member) => {
+				total += member.weight * member.model.marginOne(vector);
+				weights += member.weight;
+			});
+			return weights == 0 ? 0 : total / weights;
+		}
+
+		toJSON() {
+			return {type: 'ensemble', members: this.members.map((member) => ({weight: member.weight, model: member.model.toJSON()}))};
+		}
+
+		fromJSON(json) {
+			this.members = json.members.map((member) => ({weight: member.weight, model: fromJSON(member.model)}));
+			return this;
+		}
+	}
+
+	BACKENDS.svm = SVMModel;
+	BACKENDS.logistic = LogisticModel;
+	BACKENDS.tree = TreeModel;
+	BACKENDS.stumps = StumpsModel;
+	BACKENDS.ensemble = EnsembleModel;
+
+	function create(backend) {
+		var Backend = BACKENDS[backend];
+		if (!Backend) {
+			throw new Error('Unknown model backend ' + backend);
+		}
+		return new Backend();
+	}
+
+	// The backend of a model JSON; models without a type are svmjs SVMs
+	function typeOf(json) {
+		return json.type || (json.kernelType ? 'svm' : undefined);
+	}
+
+	// The stages of a model file: 'prefilter' and the model JSON
+	function stages(json) {
+		if (typeOf(json) !== 'pipeline') {
+			return ['prefilter', json];
+		}
+		var result = json.stages.map((stage) => stage.type === 'prefilter' ? 'prefilter' : stage);
+		if (result.indexOf('prefilter', 1) != -1) {
+			throw new Error('Prefiltering can only be the first stage of a pipeline');
+		}
+		return result;
+	}
+
+	// The model of a model file, pipeline or not
+	function fromJSON(json) {
+		var models = stages(json).filter((stage) => stage !== 'prefilter');
+		if (models.length != 1) {
+			throw new Error('A pipeline needs exactly one model after Prefiltering');
+		}
+		var type = typeOf(models[0]);
+		if (!BACKENDS[type]) {
+			throw new Error('Unknown model backend ' + type);
+		}
+		return create(type).fromJSON(models[0]);
+	}
+
+	// Whether URLs go through Prefiltering before the model
+	function usesPrefilter(json) {
+		return stages(json)[0] === 'prefilter';
+	}
+
+	// A model file: the model, after Prefiltering or not
+	function pipeline(model, prefilter) {
+		var modelStages = [model.toJSON()];
+		if (prefilter) {
+			modelStages.unshift({type: 'prefilter'});
+		}
+		return {type: 'pipeline', stages: modelStages};
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.BACKENDS = BACKENDS;
+	exports.create = create;
+	exports.fromJSON = fromJSON;
+	exports.usesPrefilter = usesPrefilter;
+	exports.pipeline = pipeline;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
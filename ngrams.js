@@ -0,0 +1,100 @@
+// Character n-gram language models, small enough to train when the detector
+// loads.
+//
+// A typo URL is two sentences that lost the space after their dot, so the
+// detector asks which reading of "left.right" is more likely: "left. right",
+// two words of the post's language, or "left.right", one domain name. Words
+// are scored by a model trained on the language's base dictionary, domain
+// names by one trained on the names in the PRIVATE section of the Public
+// Suffix List (blogspot.com, github.io, ...). Both readings predict the same
+// number of characters, so their log probabilities compare directly.
+
+var NGrams = (function(exports){
+
+	var ORDER = 3;
+	// Start and end of a string, characters no word or domain has
+	var START = '\u0002';
+	var END = '\u0003';
+	// Weights of the trigram, bigram and unigram estimates
+	var WEIGHTS = [0.6, 0.3, 0.1];
+
+	class CharModel {
+		constructor(strings) {
+			// context -> {total, next: Map(character -> count)}, for contexts of
+			// 0 to ORDER - 1 characters
+			this.counts = new Map();
+			this.alphabet = new Set([END]);
+			(strings || []).forEach((string) => this.add(string));
+		}
+
+		add(string) {
+			var characters = padded(string);
+			for (var i = ORDER - 1; i < characters.length; i++) {
+				this.alphabet.add(characters[i]);
+				for (var n = 0; n < ORDER; n++) {
+					var context = characters.slice(i - n, i).join('');
+					var entry = this.counts.get(context);
+					if (!entry) {
+						entry = {total: 0, next: new Map()};
+						this.counts.set(context, entry);
+					}
+					entry.total++;
+					entry.next.set(characters[i], (entry.next.get(characters[i]) || 0) + 1);
+				}
+			}
+			return this;
+		}
+
+		// Interpolated estimate of P(character | the characters before it);
+		// the unigram estimate is add-one smoothed, so nothing is impossible
+		probability(context, character) {
+			var probability = 0;
+			for (var n = ORDER - 1; n >= 0; n--) {
+				var entry = this.counts.get(context.slice(context.length - n));
+				var count = entry ? entry.next.get(character) || 0 : 0;
+				var estimate = n > 0 ?
+					(entry ? count / entry.total : 0) :
+					(count + 1) / ((entry ? entry.total : 0) + this.alphabet.size + 1);
+				probability += WEIGHTS[ORDER - 1 - n] * estimate;
+			}
+			return probability;
+		}
+
+		// Natural log of the probability of string, its end included
+		logProbability(string) {
+			var characters = padded(string);
+			var sum = 0;
+			for (var i = ORDER - 1; i < characters.length; i++) {
+				sum += Math.log(this.probability(characters.slice(i - ORDER + 1, i).join(''), characters[i]));
+			}
+			return sum;
+		}
+	}
+
+	function padded(string) {
+		return new Array(ORDER - 1).fill(START).concat(Array.from(string), [END]);
+	}
+
+	// The model of domain names, from the PRIVATE section of psl (a
+	// PSL.PublicSuffixList)
+	function domainModel(psl) {
+		return new CharModel(psl.rules('private').filter((rule) => !rule.startsWith('*') && !rule.startsWith('!')));
+	}
+
+	// How much more likely "left. right" is as two words (of wordModel) than
+	// "left.right" as a domain name (of domainModel), in nats; above 0 the
+	// words win
+	function sentenceOdds(models, left, right) {
+		var words = models.words.logProbability(left) + models.words.logProbability(right);
+		return words - models.domains.logProbability(left + '.' + right);
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.ORDER = ORDER;
+	exports.CharModel = CharModel;
+	exports.domainModel = domainModel;
+	exports.sentenceOdds = sentenceOdds;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
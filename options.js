@@ -0,0 +1,240 @@
+// Options page: shows the settings of settings.js in a form, saves them to
+// chrome.storage.sync and exports and imports them as JSON files. The word
+// lists of lexicon.js are edited here too and saved to chrome.storage.local,
+// and the decision log of decisions.js is shown, corrected and exported.
+
+var form = document.getElementById('options');
+var statusText = document.getElementById('status');
+var importFile = document.getElementById('import-file');
+var teamListFile = document.getElementById('team-list-file');
+var teamListsView = document.getElementById('team-lists');
+var decisionsView = document.getElementById('decisions');
+
+// Team word lists as loaded or added, shown in teamListsView
+var teamLists = [];
+
+function lines(textarea) {
+	return textarea.value.split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length > 0);
+}
+
+function show(settings) {
+	form.querySelector('input[name="mode"][value="' + settings.mode + '"]').checked = true;
+	document.getElementById('threshold').value = settings.threshold;
+	document.getElementById('band-hint').value = Math.round(settings.bands.hint * 100);
+	document.getElementById('band-dialog').value = Math.round(settings.bands.dialog * 100);
+	document.getElementById('allowlist').value = settings.allowlist.join('\n');
+	document.getElementById('blocklist').value = settings.blocklist.join('\n');
+	document.getElementById('brands').value = settings.brands.join('\n');
+	form.querySelectorAll('input[name="site"]').forEach((checkbox) => {
+		checkbox.checked = settings.sites[checkbox.value] !== false;
+	});
+	document.getElementById('log-days').value = settings.log.days;
+	document.getElementById('log-entries').value = settings.log.entries;
+}
+
+function showWordLists(wordLists) {
+	document.getElementById('personal-words').value = wordLists.personal.join('\n');
+	document.getElementById('never-words').value = wordLists.never.join('\n');
+	teamLists = wordLists.team;
+	showTeamLists();
+}
+
+function showTeamLists() {
+	while (teamListsView.firstChild) {
+		teamListsView.removeChild(teamListsView.firstChild);
+	}
+	teamLists.forEach((list, i) => {
+		var item = document.createElement('li');
+		item.textContent = list.name + ' (' + list.words.length + ' words)';
+		var remove = document.createElement('button');
+		remove.type = 'button';
+		remove.textContent = 'Remove';
+		remove.addEventListener('click', () => {
+			teamLists.splice(i, 1);
+			showTeamLists();
+			report('Removed ' + list.name + '. Save to stop using it.');
+		});
+		item.appendChild(remove);
+		teamListsView.appendChild(item);
+	});
+}
+
+var DECISION_TEXT = {
+	'fixed': 'fixed',
+	'fix-all': 'fixed with "Fix all"',
+	'continue': 'posted as it was',
+	'cancel': 'went back to the post'
+};
+
+// The newest decisions first, each with "Is a typo" and "Not a typo" to
+// correct it; pressing the pressed one again takes the correction back
+function showDecisions(entries) {
+	while (decisionsView.firstChild) {
+		decisionsView.removeChild(decisionsView.firstChild);
+	}
+	entries.slice().reverse().forEach((entry) => {
+		var item = document.createElement('li');
+		var url = document.createElement('code');
+		url.textContent = entry.url;
+		item.appendChild(url);
+		var decision = document.createElement('span');
+		decision.className = 'decision';
+		decision.textContent = ' ' + new Date(entry.time).toLocaleDateString() + ', ' + DECISION_TEXT[entry.decision];
+		item.appendChild(decision);
+		[[1, 'Is a typo'], [-1, 'Not a typo']].forEach(([label, text]) => {
+			var button = document.createElement('button');
+			button.type = 'button';
+			button.textContent = text;
+			button.setAttribute('aria-pressed', String(entry.correction === label));
+			button.addEventListener('click', () => {
+				Decisions.correct(entry.id, entry.correction === label ? null : label).then(showDecisions, (error) => {
+					report('Could not correct ' + entry.url + ': ' + error.message, true);
+				});
+			});
+			item.appendChild(button);
+		});
+		decisionsView.appendChild(item);
+	});
+	if (entries.length == 0) {
+		var empty = document.createElement('li');
+		empty.textContent = 'No decisions yet.';
+		decisionsView.appendChild(empty);
+	}
+}
+
+// The word lists in the form; throws when they are not valid
+function readWordLists() {
+	return Lexicon.normalizeLists({
+		team: teamLists,
+		personal: lines(document.getElementById('personal-words')),
+		never: lines(document.getElementById('never-words'))
+	});
+}
+
+function download(text, type, name) {
+	var link = document.createElement('a');
+	link.href = URL.createObjectURL(new Blob([text], {type: type}));
+	link.download = name;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// The settings in the form; throws when they are not valid
+function read() {
+	var sites = {};
+	form.querySelectorAll('input[name="site"]').forEach((checkbox) => {
+		sites[checkbox.value] = checkbox.checked;
+	});
+	var threshold = document.getElementById('threshold').value;
+	return Settings.normalize({
+		mode: form.querySelector('input[name="mode"]:checked').value,
+		threshold: threshold === '' ? 0 : Number(threshold),
+		bands: {
+			hint: Number(document.getElementById('band-hint').value) / 100,
+			dialog: Number(document.getElementById('band-dialog').value) / 100
+		},
+		allowlist: lines(document.getElementById('allowlist')),
+		blocklist: lines(document.getElementById('blocklist')),
+		brands: lines(document.getElementById('brands')),
+		sites: sites,
+		log: {
+			days: Number(document.getElementById('log-days').value),
+			entries: Number(document.getElementById('log-entries').value)
+		}
+	});
+}
+
+function report(message, isError) {
+	statusText.textContent = message;
+	statusText.className = isError ? 'error' : '';
+}
+
+form.addEventListener('submit', (event) => {
+	event.preventDefault();
+	var settings;
+	var wordLists;
+	try {
+		settings = read();
+		wordLists = readWordLists();
+	} catch (error) {
+		report(error.message, true);
+		return;
+	}
+	Promise.all([Settings.save(settings), Lexicon.save(wordLists)]).then(() => {
+		show(settings);
+		showWordLists(wordLists);
+		report('Saved.');
+	}, (error) => report('Could not save: ' + error.message, true));
+});
+
+document.getElementById('export').addEventListener('click', () => {
+	var json;
+	try {
+		json = Settings.exportJSON(read());
+	} catch (error) {
+		report(error.message, true);
+		return;
+	}
+	download(json, 'application/json', 'typonomo-settings.json');
+});
+
+document.getElementById('import').addEventListener('click', () => importFile.click());
+
+// An imported file is shown in the form but only takes effect once saved
+importFile.addEventListener('change', () => {
+	var file = importFile.files[0];
+	importFile.value = '';
+	if (!file) {
+		return;
+	}
+	file.text().then((text) => {
+		show(Settings.importJSON(text));
+		report('Imported ' + file.name + '. Save to use these settings.');
+	}).catch((error) => report('Could not import ' + file.name + ': ' + error.message, true));
+});
+
+document.getElementById('export-words').addEventListener('click', () => {
+	var words = lines(document.getElementById('personal-words'));
+	download(words.join('\n') + '\n', 'text/plain', 'typonomo-words.txt');
+});
+
+document.getElementById('export-decisions').addEventListener('click', () => {
+	Decisions.load().then((entries) => {
+		var corpus = Decisions.toCorpus(entries);
+		if (corpus.length == 0) {
+			report('Nothing to export: no decision in the log is labeled yet.', true);
+			return;
+		}
+		download(corpus, 'application/x-ndjson', 'typonomo-decisions.jsonl');
+	}).catch((error) => report('Could not export the decision log: ' + error.message, true));
+});
+
+document.getElementById('clear-decisions').addEventListener('click', () => {
+	Decisions.clear().then((entries) => {
+		showDecisions(entries);
+		report('Cleared the decision log.');
+	}, (error) => report('Could not clear the decision log: ' + error.message, true));
+});
+
+document.getElementById('add-team-list').addEventListener('click', () => teamListFile.click());
+
+// A team list is named after its file; adding a file with the same name again
+// replaces the list
+teamListFile.addEventListener('change', () => {
+	var file = teamListFile.files[0];
+	teamListFile.value = '';
+	if (!file) {
+		return;
+	}
+	file.text().then((text) => {
+		var name = file.name.replace(/\.[^.]*$/, '');
+		var list = Lexicon.normalizeLists({team: [{name: name, words: Lexicon.parseList(text)}]}).team[0];
+		teamLists = teamLists.filter((other) => other.name !== name).concat([list]);
+		showTeamLists();
+		report('Added ' + name + ' (' + list.words.length + ' words). Save to use it.');
+	}).catch((error) => report('Could not add ' + file.name + ': ' + error.message, true));
+});
+
+Settings.load().then(show);
+Lexicon.load().then(showWordLists);
+Decisions.load().then(showDecisions);
@@ -0,0 +1,212 @@
+// Public Suffix List (https://publicsuffix.org/list/)
+//
+// Parses public_suffix_list.dat, with its wildcard (*.) and exception (!)
+// rules and its ICANN and PRIVATE sections, into a trie of labels and finds
+// the public suffix of a domain following the algorithm of the list:
+// exception rules win over everything, otherwise the longest matching rule
+// does, and a domain no rule matches has its last label as public suffix.
+// Rules and domains are compared in Unicode, so xn--p1ai is рф.
+
+var PSL = (function(exports){
+
+	var punycode = typeof require != 'undefined' ? require('./punycode.js') : self.Punycode;
+
+	var LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+	var STORAGE_KEY = 'public_suffix_list';
+	// How often the extension downloads a newer list
+	var REFRESH_INTERVAL = 7 * 24 * 60 * 60 * 1000;
+
+	class Node {
+		constructor() {
+			this.children = new Map();
+			this.rule = false;      // a rule ends here
+			this.exception = false; // an exception rule ends here
+			this.section = null;    // 'icann' or 'private' for the rule ending here
+		}
+	}
+
+	function normalizeDomain(domain) {
+		return punycode.toUnicode(String(domain).toLowerCase().replace(/\.$/, ''));
+	}
+
+	class PublicSuffixList {
+		constructor() {
+			this.root = new Node();
+			this.size = 0;
+		}
+
+		// rule is a line of the list, e.g. "co.uk", "*.ck" or "!www.ck"
+		add(rule, section) {
+			var exception = rule[0] === '!';
+			var labels = normalizeDomain(exception ? rule.slice(1) : rule).split('.').reverse();
+			var node = this.root;
+			labels.forEach((label) => {
+				if (!node.children.has(label)) {
+					node.children.set(label, new Node());
+				}
+				node = node.children.get(label);
+			});
+			if (exception) {
+				node.exception = true;
+			} else {
+				node.rule = true;
+			}
+			node.section = section || 'icann';
+			this.size++;
+			return this;
+		}
+
+		// Whether label is a top-level domain on the list
+		isTLD(label) {
+			var node = this.root.children.get(normalizeDomain(label));
+			return node !== undefined && node.rule;
+		}
+
+		// Finds the rule that prevails for domain. Returns the number of labels
+		// of its public suffix and the section of the rule (null when no rule
+		// matched and the default rule "*" applies).
+		// options.icannOnly ignores the rules of the PRIVATE section.
+		match(domain, options) {
+			options = options || {};
+			var labels = normalizeDomain(domain).split('.').reverse();
+			var node = this.root;
+			var best = {length: 1, section: null};
+			var counts = (candidate) => candidate && candidate.rule && !(options.icannOnly && candidate.section === 'private');
+			for (var i = 0; i < labels.length; i++) {
+				var next = node.children.get(labels[i]);
+				if (next && next.exception && !(options.icannOnly && next.section === 'private')) {
+					return {length: i, section: next.section};
+				}
+				var wildcard = node.children.get('*');
+				if (counts(wildcard)) {
+					best = {length: i + 1, section: wildcard.section};
+				}
+				if (counts(next)) {
+					best = {length: i + 1, section: next.section};
+				}
+				if (!next) {
+					break;
+				}
+				node = next;
+			}
+			return best;
+		}
+
+		getPublicSuffix(domain, options) {
+			var labels = normalizeDomain(domain).split('.');
+			var length = this.match(domain, options).length;
+			return labels.slice(Math.max(labels.length - length, 0)).join('.');
+		}
+
+		// The public suffix plus one more label, or null when domain is itself
+		// a public suffix
+		getRegistrableDomain(domain, options) {
+			var labels = normalizeDomain(domain).split('.');
+			var length = this.match(domain, options).length;
+			if (labels.length <= length) {
+				return null;
+			}
+			return labels.slice(labels.length - length - 1).join('.');
+		}
+
+		// The rules of section ('icann' or 'private'), or of both, as written in
+		// the list but in Unicode: "co.uk", "*.ck", "!www.ck"
+		rules(section) {
+			var rules = new Array();
+			var walk = (node, labels) => {
+				node.children.forEach((child, label) => {
+					var name = [label].concat(labels);
+					if ((child.rule || child.exception) && (!section || child.section === section)) {
+						rules.push((child.exception ? '!' : '') + name.join('.'));
+					}
+					walk(child, name);
+				});
+			};
+			walk(this.root, []);
+			return rules;
+		}
+
+		// Everything about domain at once
+		lookup(domain, options) {
+			var matched = this.match(domain, options);
+			return {
+				domain: normalizeDomain(domain),
+				publicSuffix: this.getPublicSuffix(domain, options),
+				registrableDomain: this.getRegistrableDomain(domain, options),
+				listed: matched.section !== null,
+				icann: matched.section === 'icann',
+				private: matched.section === 'private'
+			};
+		}
+	}
+
+	// Parses the text of public_suffix_list.dat. Rules are one per line, up to
+	// the first whitespace; lines starting with // are comments, except for
+	// the markers of the ICANN and PRIVATE sections.
+	function parse(text) {
+		var list = new PublicSuffixList();
+		var section = 'icann';
+		text.split(/\r?\n/).forEach((line) => {
+			if (line.startsWith('//')) {
+				if (line.includes('===BEGIN ICANN DOMAINS===')) {
+					section = 'icann';
+				} else if (line.includes('===BEGIN PRIVATE DOMAINS===')) {
+					section = 'private';
+				}
+				return;
+			}
+			var rule = line.trim().split(/\s/)[0];
+			if (rule) {
+				list.add(rule, section);
+			}
+		});
+		return list;
+	}
+
+	// A downloaded list is only accepted if it looks like the real thing.
+	function looksValid(text) {
+		return text.includes('===BEGIN ICANN DOMAINS===') && parse(text).size > 1000;
+	}
+
+	// The newer list the background page stored, or null. Resolves to
+	// {text, updated}.
+	function loadStoredList() {
+		if (typeof chrome == 'undefined' || !chrome.storage) {
+			return Promise.resolve(null);
+		}
+		return new Promise((resolve) => {
+			chrome.storage.local.get(STORAGE_KEY, (items) => resolve(items[STORAGE_KEY] || null));
+		});
+	}
+
+	// Downloads the list from publicsuffix.org and stores it for the content
+	// scripts, unless the stored copy is less than REFRESH_INTERVAL old.
+	function refreshStoredList(force) {
+		return loadStoredList().then((stored) => {
+			if (!force && stored && Date.now() - stored.updated < REFRESH_INTERVAL) {
+				return false;
+			}
+			return fetch(LIST_URL)
+				.then((response) => response.text())
+				.then((text) => {
+					if (!looksValid(text)) {
+						throw new Error('Downloaded Public Suffix List is not valid');
+					}
+					var items = {};
+					items[STORAGE_KEY] = {text: text, updated: Date.now()};
+					return new Promise((resolve) => chrome.storage.local.set(items, () => resolve(true)));
+				});
+		});
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.LIST_URL = LIST_URL;
+	exports.PublicSuffixList = PublicSuffixList;
+	exports.parse = parse;
+	exports.looksValid = looksValid;
+	exports.loadStoredList = loadStoredList;
+	exports.refreshStoredList = refreshStoredList;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
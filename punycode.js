@@ -0,0 +1,170 @@
+// Punycode (RFC 3492) and the IDNA conversions of domain names built on it.
+//
+// Internationalized domain names are written in Unicode (münchen.de) but
+// travel through DNS in ASCII, with every label that is not ASCII encoded as
+// "xn--" and its Punycode (xn--mnchen-3ya.de). The detector reads the words
+// of a URL and matches the Public Suffix List in Unicode, and asks DNS in
+// ASCII. Mapping beyond lower-casing and NFC (the full UTS #46 tables) is not
+// done; names that need it are rare in posts.
+
+var Punycode = (function(exports){
+
+	var BASE = 36;
+	var T_MIN = 1;
+	var T_MAX = 26;
+	var SKEW = 38;
+	var DAMP = 700;
+	var INITIAL_BIAS = 72;
+	var INITIAL_N = 128;
+	var PREFIX = 'xn--';
+
+	function adapt(delta, points, first) {
+		delta = first ? Math.floor(delta / DAMP) : delta >> 1;
+		delta += Math.floor(delta / points);
+		var k = 0;
+		while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+			delta = Math.floor(delta / (BASE - T_MIN));
+			k += BASE;
+		}
+		return k + Math.floor((BASE - T_MIN + 1) * delta / (delta + SKEW));
+	}
+
+	function digitOf(code) {
+		if (code >= 48 && code <= 57) {
+			return code - 22;
+		}
+		if (code >= 65 && code <= 90) {
+			return code - 65;
+		}
+		if (code >= 97 && code <= 122) {
+			return code - 97;
+		}
+		return BASE;
+	}
+
+	function codeOf(digit) {
+		return digit < 26 ? digit + 97 : digit + 22;
+	}
+
+	function threshold(k, bias) {
+		return k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+	}
+
+	// Punycode of a string (without the xn-- prefix)
+	function encode(input) {
+		var points = Array.from(input).map((character) => character.codePointAt(0));
+		var output = points.filter((point) => point < 128).map((point) => String.fromCharCode(point));
+		var basic = output.length;
+		var handled = basic;
+		if (basic > 0) {
+			output.push('-');
+		}
+		var n = INITIAL_N;
+		var delta = 0;
+		var bias = INITIAL_BIAS;
+		while (handled < points.length) {
+			var m = Math.min.apply(null, points.filter((point) => point >= n));
+			delta += (m - n) * (handled + 1);
+			n = m;
+			points.forEach((point) => {
+				if (point < n) {
+					delta++;
+				}
+				if (point == n) {
+					var q = delta;
+					for (var k = BASE; ; k += BASE) {
+						var t = threshold(k, bias);
+						if (q < t) {
+							break;
+						}
+						output.push(String.fromCharCode(codeOf(t + (q - t) % (BASE - t))));
+						q = Math.floor((q - t) / (BASE - t));
+					}
+					output.push(String.fromCharCode(codeOf(q)));
+					bias = adapt(delta, handled + 1, handled == basic);
+					delta = 0;
+					handled++;
+				}
+			});
+			delta++;
+			n++;
+		}
+		return output.join('');
+	}
+
+	// The string a Punycode encodes (without the xn-- prefix). Throws when
+	// input is not valid Punycode.
+	function decode(input) {
+		var end = input.lastIndexOf('-');
+		var output = end > 0 ? Array.from(input.slice(0, end)).map((character) => character.codePointAt(0)) : [];
+		if (output.some((point) => point >= 128)) {
+			throw new Error('Invalid Punycode ' + input);
+		}
+		var n = INITIAL_N;
+		var i = 0;
+		var bias = INITIAL_BIAS;
+		for (var index = end > 0 ? end + 1 : 0; index < input.length; ) {
+			var previous = i;
+			var weight = 1;
+			for (var k = BASE; ; k += BASE) {
+				if (index >= input.length) {
+					throw new Error('Invalid Punycode ' + input);
+				}
+				var digit = digitOf(input.charCodeAt(index++));
+				if (digit >= BASE) {
+					throw new Error('Invalid Punycode ' + input);
+				}
+				i += digit * weight;
+				var t = threshold(k, bias);
+				if (digit < t) {
+					break;
+				}
+				weight *= BASE - t;
+			}
+			bias = adapt(i - previous, output.length + 1, previous == 0);
+			n += Math.floor(i / (output.length + 1));
+			i %= output.length + 1;
+			if (n > 0x10FFFF) {
+				throw new Error('Invalid Punycode ' + input);
+			}
+			output.splice(i, 0, n);
+			i++;
+		}
+		return String.fromCodePoint.apply(null, output);
+	}
+
+	function mapLabels(domain, map) {
+		return String(domain).split('.').map(map).join('.');
+	}
+
+	// münchen.de -> xn--mnchen-3ya.de
+	function toASCII(domain) {
+		return mapLabels(domain.normalize('NFC').toLowerCase(), (label) => {
+			return /^[\x00-\x7F]*$/.test(label) ? label : PREFIX + encode(label);
+		});
+	}
+
+	// xn--mnchen-3ya.de -> münchen.de; labels that are not valid Punycode are
+	// left as they are
+	function toUnicode(domain) {
+		return mapLabels(String(domain).toLowerCase(), (label) => {
+			if (!label.startsWith(PREFIX)) {
+				return label.normalize('NFC');
+			}
+			try {
+				return decode(label.slice(PREFIX.length));
+			} catch (error) {
+				return label;
+			}
+		});
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.encode = encode;
+	exports.decode = decode;
+	exports.toASCII = toASCII;
+	exports.toUnicode = toUnicode;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,292 @@
+// Registration status of domains, from RDAP (RFC 7480-7484), the JSON
+// successor of WHOIS.
+//
+// The domain a typo URL points at is what attackers register, so the warning
+// says whether it is registered, and since when. Every client has a single
+// method, lookup(domain), that returns a Promise for
+//   {domain, status, created, expires, registrar}
+// status is 'registered', 'unregistered' (the registry does not know the
+// domain: anyone could buy it) or 'unknown' (the lookup failed or the TLD has
+// no RDAP server); created and expires are ISO dates or null. domain is the
+// registrable domain, in ASCII.
+//
+// The RDAP server of each TLD is found through the IANA bootstrap registry
+// (RFC 9224), which is downloaded once per client.
+
+var RDAP = (function(exports){
+
+	var BOOTSTRAP_URL = 'https://data.iana.org/rdap/dns.json';
+	var DEFAULT_TIMEOUT = 5000;
+	// How long answers are cached, in seconds: a registered domain stays
+	// registered for a while, an unregistered one may be bought any minute
+	var REGISTERED_TTL = 24 * 60 * 60;
+	var UNREGISTERED_TTL = 60 * 60;
+	// Domains registered fewer days ago than this are pointed out as recent
+	var RECENT_DAYS = 90;
+	var DAY = 24 * 60 * 60 * 1000;
+
+	function normalizeDomain(domain) {
+		return String(domain).toLowerCase().replace(/\.$/, '');
+	}
+
+	function unknown(domain) {
+		return {domain: normalizeDomain(domain), status: 'unknown', created: null, expires: null, registrar: null};
+	}
+
+	// The bootstrap registry: TLD (or longer suffix) -> base URLs of its
+	// RDAP servers
+	class Bootstrap {
+		// json is the registry as IANA publishes it:
+		//   {services: [[["com", "net"], ["https://rdap.verisign.com/com/v1/"]], ...]}
+		constructor(json) {
+			this.servers = new Map();
+			(json.services || []).forEach(([suffixes, urls]) => {
+				// HTTPS servers first
+				var sorted = urls.slice().sort((a, b) => Number(b.startsWith('https:')) - Number(a.startsWith('https:')));
+				suffixes.forEach((suffix) => this.servers.set(normalizeDomain(suffix), sorted));
+			});
+		}
+
+		// Base URL of the RDAP server for domain, or null. The longest suffix
+		// of domain in the registry wins.
+		serverFor(domain) {
+			var labels = normalizeDomain(domain).split('.');
+			for (var i = 0; i < labels.length; i++) {
+				var urls = this.servers.get(labels.slice(i).join('.'));
+				if (urls) {
+					return urls[0];
+				}
+			}
+			return null;
+		}
+	}
+
+	// Dates and registrar of an RDAP domain object
+	function parseDomain(json) {
+		var event = (action) => ((json.events || []).filter((item) => item.eventAction === action)[0] || {}).eventDate || null;
+		var registrar = (json.entities || []).filter((entity) => (entity.roles || []).includes('registrar'))[0];
+		return {
+			created: event('registration'),
+			expires: event('expiration'),
+			registrar: registrar ? vcardName(registrar) : null
+		};
+	}
+
+	// The "fn" of an entity's jCard, or its handle
+	function vcardName(entity) {
+		var card = entity.vcardArray && entity.vcardArray[1] || [];
+		var fn = card.filter((property) => property[0] === 'fn')[0];
+		return fn ? String(fn[3]) : entity.handle || null;
+	}
+
+	// Asks the RDAP server of the domain's TLD. bootstrap is the registry
+	// JSON, or the URL to download it from (BOOTSTRAP_URL by default).
+	class RdapClient {
+		constructor(options) {
+			options = options || {};
+			this.fetch = options.fetch || ((url, init) => fetch(url, init));
+			this.bootstrapSource = options.bootstrap || BOOTSTRAP_URL;
+			this.bootstrap = null; // Promise of the Bootstrap
+		}
+
+		loadBootstrap() {
+			if (!this.bootstrap) {
+				var source = this.bootstrapSource;
+				this.bootstrap = (typeof source === 'string' ?
+					this.fetch(source).then((response) => {
+						if (!response.ok) {
+							throw new Error('The RDAP bootstrap registry answered ' + response.status);
+						}
+						return response.json();
+					}) :
+					Promise.resolve(source)).then((json) => new Bootstrap(json));
+				// a failed download is tried again on the next lookup
+				this.bootstrap.catch(() => {
+					this.bootstrap = null;
+				});
+			}
+			return this.bootstrap;
+		}
+
+		lookup(domain) {
+			domain = normalizeDomain(domain);
+			return this.loadBootstrap().then((bootstrap) => {
+				var server = bootstrap.serverFor(domain);
+				if (!server) {
+					return unknown(domain);
+				}
+				var url = server.replace(/\/?$/, '/') + 'domain/' + encodeURIComponent(domain);
+				return this.fetch(url, {headers: {'Accept': 'application/rdap+json'}}).then((response) => {
+					if (response.status == 404) {
+						return {domain: domain, status: 'unregistered', created: null, expires: null, registrar: null};
+					}
+					if (!response.ok) {
+						throw new Error('RDAP server answered ' + response.status);
+					}
+					return response.json().then((json) => Object.assign({domain: domain, status: 'registered'}, parseDomain(json)));
+				});
+			});
+		}
+	}
+
+	// Answers from a fixed table instead of the network. records maps
+	// registered domains to {created, expires, registrar} (any may be left
+	// out); every other domain is unregistered.
+	class FakeRdapClient {
+		constructor(records) {
+			this.records = new Map();
+			Object.keys(records || {}).forEach((domain) => this.records.set(normalizeDomain(domain), records[domain] || {}));
+			this.lookups = [];
+		}
+
+		lookup(domain) {
+			domain = normalizeDomain(domain);
+			this.lookups.push(domain);
+			var record = this.records.get(domain);
+			if (!record) {
+				return Promise.resolve({domain: domain, status: 'unregistered', created: null, expires: null, registrar: null});
+			}
+			return Promise.resolve({
+				domain: domain,
+				status: 'registered',
+				created: record.created || null,
+				expires: record.expires || null,
+				registrar: record.registrar || null
+			});
+		}
+	}
+
+	// Keeps answers for REGISTERED_TTL or UNREGISTERED_TTL; 'unknown' is not
+	// kept. storage is as in DNS.CachingResolver.
+	class CachingClient {
+		constructor(client, options) {
+			options = options || {};
+			this.client = client;
+			this.storage = options.storage || memoryStorage();
+			this.prefix = options.prefix || 'rdap:';
+			this.now = options.now || Date.now;
+		}
+
+		lookup(domain) {
+			var key = this.prefix + normalizeDomain(domain);
+			return this.storage.get(key).then((entry) => {
+				if (entry && entry.expires > this.now()) {
+					return entry.registration;
+				}
+				return this.client.lookup(domain).then((registration) => {
+					if (registration.status === 'unknown') {
+						return registration;
+					}
+					var ttl = registration.status === 'registered' ? REGISTERED_TTL : UNREGISTERED_TTL;
+					return this.storage.set(key, {registration: registration, expires: this.now() + ttl * 1000})
+						.then(() => registration, () => registration);
+				});
+			});
+		}
+	}
+
+	// Gives up on a lookup after timeout milliseconds, or when it fails, and
+	// resolves to status 'unknown' instead of rejecting
+	class TimeoutClient {
+		constructor(client, options) {
+			options = options || {};
+			this.client = client;
+			this.timeout = options.timeout || DEFAULT_TIMEOUT;
+		}
+
+		lookup(domain) {
+			var timer;
+			var expired = new Promise((resolve) => {
+				timer = setTimeout(() => {
+					console.warn('RDAP lookup timed out:', domain);
+					resolve(unknown(domain));
+				}, this.timeout);
+			});
+			var lookup = this.client.lookup(domain).catch((error) => {
+				console.warn('RDAP lookup failed:', domain, error.message);
+				return unknown(domain);
+			});
+			return Promise.race([lookup, expired]).then((registration) => {
+				clearTimeout(timer);
+				return registration;
+			});
+		}
+	}
+
+	// Builds a client from plain options, like DNS.createResolver():
+	//   bootstrap, fetch  - passed on to RdapClient
+	//   client            - use this instead of an RdapClient (e.g. a FakeRdapClient)
+	//   storage           - cache storage, memory by default; false disables caching
+	//   timeout           - passed on to TimeoutClient
+	function createClient(options) {
+		options = options || {};
+		var client = options.client || new RdapClient(options);
+		if (options.storage !== false) {
+			client = new CachingClient(client, {storage: options.storage});
+		}
+		return new TimeoutClient(client, options);
+	}
+
+	// Days since the domain was registered, or null when that is not known
+	function ageOf(registration, now) {
+		var created = registration.created ? Date.parse(registration.created) : NaN;
+		return isNaN(created) ? null : Math.max(Math.floor(((now || Date.now()) - created) / DAY), 0);
+	}
+
+	function isRecent(registration, now) {
+		var age = ageOf(registration, now);
+		return registration.status === 'registered' && age !== null && age < RECENT_DAYS;
+	}
+
+	// What a registration says, e.g. "paypa1.com is not registered: anyone
+	// could buy it." or "paypa1.com was registered on 2026-10-01, 18 days ago."
+	function describe(registration, now) {
+		var domain = registration.domain;
+		if (registration.status === 'unregistered') {
+			return domain + ' is not registered: anyone could buy it.';
+		}
+		if (registration.status !== 'registered') {
+			return 'Could not find out whether ' + domain + ' is registered.';
+		}
+		var age = ageOf(registration, now);
+		if (age === null) {
+			return domain + ' is registered.';
+		}
+		var date = new Date(Date.parse(registration.created)).toISOString().slice(0, 10);
+		return domain + ' was registered on ' + date + ', ' + (isRecent(registration, now) ? 'only ' : '') + span(age) + ' ago.';
+	}
+
+	// "18 days", "5 months", "12 years"
+	function span(days) {
+		var [count, unit] = days < 60 ? [days, 'day'] : days < 730 ? [Math.floor(days / 30), 'month'] : [Math.floor(days / 365), 'year'];
+		return count + ' ' + unit + (count == 1 ? '' : 's');
+	}
+
+	function memoryStorage() {
+		var map = new Map();
+		return {
+			get: (key) => Promise.resolve(map.get(key)),
+			set: (key, value) => {
+				map.set(key, value);
+				return Promise.resolve();
+			}
+		};
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.BOOTSTRAP_URL = BOOTSTRAP_URL;
+	exports.RECENT_DAYS = RECENT_DAYS;
+	exports.Bootstrap = Bootstrap;
+	exports.RdapClient = RdapClient;
+	exports.FakeRdapClient = FakeRdapClient;
+	exports.CachingClient = CachingClient;
+	exports.TimeoutClient = TimeoutClient;
+	exports.createClient = createClient;
+	exports.parseDomain = parseDomain;
+	exports.ageOf = ageOf;
+	exports.isRecent = isRecent;
+	exports.describe = describe;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,181 @@
+// The user's settings, kept in chrome.storage.sync so they follow the user
+// from one browser to the next:
+//   allowlist   domains and TLDs that are never flagged
+//   blocklist   domains and TLDs that are always flagged
+//   brands      domains to warn about lookalikes of, besides the popular
+//               ones of domains.txt (see lookalike.js)
+//   threshold   URLs whose SVM margin is above it are flagged (0 is the
+//               model's own boundary; higher flags fewer URLs)
+//   bands       probabilities {hint, dialog}: with a calibrated model, typo
+//               URLs less likely than hint are not shown and those less
+//               likely than dialog only get an underline, not the warning
+//   sites       adapter id (see adapters.js) -> whether TypoNoMo runs there
+//   mode        'warn' shows the warning with a Continue button, 'block'
+//               leaves only Fix and Cancel, 'silent' only logs to the console
+//   log         how much of the decision log to keep (see decisions.js):
+//               {days, entries}; 0 days keeps nothing
+// Settings are exported and imported as JSON, so that a team can share them.
+
+var Settings = (function(exports){
+
+	var calibration = typeof require != 'undefined' ? require('./calibration.js') : self.Calibration;
+
+	var STORAGE_KEY = 'settings';
+	var MODES = ['warn', 'block', 'silent'];
+	var SITES = ['twitter', 'mastodon', 'bluesky', 'reddit', 'generic'];
+
+	var DEFAULTS = {
+		allowlist: [],
+		blocklist: [],
+		brands: [],
+		threshold: 0,
+		bands: calibration.DEFAULT_BANDS,
+		sites: {twitter: true, mastodon: true, bluesky: true, reddit: true, generic: true},
+		mode: 'warn',
+		log: {days: 30, entries: 500}
+	};
+
+	function defaults() {
+		return JSON.parse(JSON.stringify(DEFAULTS));
+	}
+
+	// Checks raw settings (from storage or an imported file) and fills in
+	// what is missing from the defaults. Throws on anything invalid, so that a
+	// broken file is not half imported.
+	function normalize(raw) {
+		if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+			throw new Error('Settings must be a JSON object');
+		}
+		var settings = defaults();
+		['allowlist', 'blocklist', 'brands'].forEach((name) => {
+			if (raw[name] === undefined) {
+				return;
+			}
+			if (!Array.isArray(raw[name]) || raw[name].some((entry) => typeof entry !== 'string')) {
+				throw new Error(name + ' must be a list of domains');
+			}
+			settings[name] = raw[name].map((entry) => entry.trim().toLowerCase()).filter((entry) => entry.length > 0);
+		});
+		if (raw.threshold !== undefined) {
+			if (typeof raw.threshold !== 'number' || !isFinite(raw.threshold)) {
+				throw new Error('threshold must be a number');
+			}
+			settings.threshold = raw.threshold;
+		}
+		if (raw.bands !== undefined) {
+			var bands = Object.assign({}, settings.bands, raw.bands);
+			var isProbability = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+			if (!isProbability(bands.hint) || !isProbability(bands.dialog) || bands.hint > bands.dialog) {
+				throw new Error('bands must be probabilities with hint no higher than dialog');
+			}
+			settings.bands = {hint: bands.hint, dialog: bands.dialog};
+		}
+		if (raw.sites !== undefined) {
+			if (raw.sites === null || typeof raw.sites !== 'object') {
+				throw new Error('sites must map sites to true or false');
+			}
+			Object.keys(raw.sites).forEach((site) => {
+				if (!SITES.includes(site)) {
+					throw new Error('Unknown site ' + site);
+				}
+				settings.sites[site] = raw.sites[site] !== false;
+			});
+		}
+		if (raw.mode !== undefined) {
+			if (!MODES.includes(raw.mode)) {
+				throw new Error('mode must be one of ' + MODES.join(', '));
+			}
+			settings.mode = raw.mode;
+		}
+		if (raw.log !== undefined) {
+			var log = Object.assign({}, settings.log, raw.log);
+			var isCount = (value) => Number.isInteger(value) && value >= 0;
+			if (!isCount(log.days) || !isCount(log.entries)) {
+				throw new Error('log must keep a whole number of days and entries');
+			}
+			settings.log = {days: log.days, entries: log.days > 0 ? log.entries : 0};
+		}
+		return settings;
+	}
+
+	function exportJSON(settings) {
+		return JSON.stringify(normalize(settings), null, 2) + '\n';
+	}
+
+	function importJSON(text) {
+		var raw;
+		try {
+			raw = JSON.parse(text);
+		} catch (error) {
+			throw new Error('Not a JSON file: ' + error.message);
+		}
+		return normalize(raw);
+	}
+
+	function hasSyncStorage() {
+		return typeof chrome != 'undefined' && chrome.storage && chrome.storage.sync;
+	}
+
+	// Resolves to the stored settings, or the defaults when there are none
+	// (or outside the extension). Stored settings that do not pass normalize()
+	// are ignored rather than breaking the extension.
+	function load() {
+		if (!hasSyncStorage()) {
+			return Promise.resolve(defaults());
+		}
+		return new Promise((resolve) => {
+			chrome.storage.sync.get(STORAGE_KEY, (items) => {
+				try {
+					resolve(items[STORAGE_KEY] ? normalize(items[STORAGE_KEY]) : defaults());
+				} catch (error) {
+					console.warn('Ignoring invalid TypoNoMo settings:', error.message);
+					resolve(defaults());
+				}
+			});
+		});
+	}
+
+	function save(settings) {
+		var items = {};
+		items[STORAGE_KEY] = normalize(settings);
+		return new Promise((resolve, reject) => {
+			chrome.storage.sync.set(items, () => {
+				if (chrome.runtime.lastError) {
+					reject(new Error(chrome.runtime.lastError.message));
+				} else {
+					resolve(items[STORAGE_KEY]);
+				}
+			});
+		});
+	}
+
+	// Calls listener(settings) whenever the settings are saved, in any tab
+	function onChanged(listener) {
+		if (!hasSyncStorage()) {
+			return;
+		}
+		chrome.storage.onChanged.addListener((changes, area) => {
+			if (area === 'sync' && changes[STORAGE_KEY]) {
+				try {
+					listener(normalize(changes[STORAGE_KEY].newValue || {}));
+				} catch (error) {
+					console.warn('Ignoring invalid TypoNoMo settings:', error.message);
+				}
+			}
+		});
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.MODES = MODES;
+	exports.SITES = SITES;
+	exports.defaults = defaults;
+	exports.normalize = normalize;
+	exports.exportJSON = exportJSON;
+	exports.importJSON = importJSON;
+	exports.load = load;
+	exports.save = save;
+	exports.onChanged = onChanged;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,127 @@
+// Site adapters against saved composer markup (test/fixtures/adapters): which
+// adapter a page gets, the composer and submit control of an editor, and the
+// posts and blocks read out of it.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var {JSDOM} = require('jsdom');
+var Adapters = require('../adapters.js');
+
+function load(fixture, url) {
+	var html = fs.readFileSync(path.join(__dirname, 'fixtures', 'adapters', fixture), 'utf8');
+	return new JSDOM(html, {url: url}).window;
+}
+
+// The composer of the first editor of the page, and its posts
+function compose(window, adapter) {
+	var document = window.document;
+	assert.strictEqual(Adapters.adapterFor(window.location, document), adapter);
+	var editor = document.querySelector(adapter.editorSelector);
+	assert.ok(editor, 'no editor matches ' + adapter.editorSelector);
+	var composer = adapter.composerFor(editor);
+	assert.ok(composer, 'no composer for the editor');
+	return {composer: composer, posts: Adapters.posts(adapter, composer)};
+}
+
+function texts(blocks) {
+	return blocks.map((block) => block.text);
+}
+
+test('x.com thread: one post per tweet of the dialog', () => {
+	var window = load('x-thread.html', 'https://x.com/compose/post');
+	var {composer, posts} = compose(window, Adapters.twitter);
+	assert.strictEqual(composer.kind, 'dialog');
+	assert.strictEqual(composer.root.getAttribute('role'), 'dialog');
+	assert.strictEqual(composer.submit.dataset.testid, 'tweetButton');
+	assert.deepStrictEqual(posts.map((post) => post.editor.dataset.testid), ['tweetTextarea_0', 'tweetTextarea_1']);
+	assert.deepStrictEqual(posts.map((post) => post.index), [0, 1]);
+	assert.strictEqual(posts[0].text, 'A thread about eyesight 🧵\nGood for you.you\'re not blind');
+	assert.deepStrictEqual(posts[0].blocks.map((block) => block.offset), [0, 'A thread about eyesight 🧵'.length + 1]);
+	assert.strictEqual(posts[0].urls, null);
+	assert.strictEqual(posts[1].text, 'More at example.com');
+	var offset = posts[0].text.indexOf('you.you');
+	assert.strictEqual(Adapters.blockAt(posts[0], offset), posts[0].blocks[1]);
+});
+
+test('x.com home timeline: the inline composer', () => {
+	var window = load('x-home.html', 'https://twitter.com/home');
+	var {composer, posts} = compose(window, Adapters.twitter);
+	assert.strictEqual(composer.kind, 'inline');
+	assert.strictEqual(composer.submit.dataset.testid, 'tweetButtonInline');
+	assert.ok(!composer.root.querySelector('article'), 'the composer takes in the timeline');
+	assert.deepStrictEqual(posts.map((post) => post.text), ['It.so happens I agree']);
+	assert.strictEqual(Adapters.twitter.links, 'twitter');
+});
+
+test('Mastodon: recognized by its page, the compose form\'s textarea', () => {
+	var window = load('mastodon.html', 'https://mastodon.example/home');
+	var {composer, posts} = compose(window, Adapters.mastodon);
+	assert.strictEqual(composer.root.className, 'compose-form');
+	assert.strictEqual(composer.submit.textContent, 'Post');
+	assert.deepStrictEqual(posts.map((post) => post.text), ['See me.no, it.my']);
+	assert.deepStrictEqual(Adapters.mastodon.blocks(posts[0].editor).map((block) => block.element), [posts[0].editor]);
+});
+
+test('Bluesky: a block per paragraph of the ProseMirror editor', () => {
+	var window = load('bluesky.html', 'https://bsky.app/');
+	var {composer, posts} = compose(window, Adapters.bluesky);
+	assert.strictEqual(composer.kind, 'dialog');
+	assert.strictEqual(composer.root.dataset.testid, 'composePostView');
+	assert.strictEqual(composer.submit.dataset.testid, 'composerPublishBtn');
+	assert.deepStrictEqual(texts(Adapters.bluesky.blocks(posts[0].editor)), ['First line', 'Good for you.you\'re not blind']);
+	assert.strictEqual(posts[0].text, 'First line\nGood for you.you\'re not blind');
+});
+
+test('Reddit: the Lexical editor of the new site', () => {
+	var window = load('reddit-lexical.html', 'https://www.reddit.com/r/test/comments/abc/title/');
+	var {composer, posts} = compose(window, Adapters.reddit);
+	assert.strictEqual(composer.root.tagName, 'SHREDDIT-COMPOSER');
+	assert.strictEqual(composer.submit.getAttribute('slot'), 'submit-button');
+	assert.deepStrictEqual(texts(posts[0].blocks), ['Try tell.me', 'then it.so']);
+	assert.deepStrictEqual(posts[0].blocks.map((block) => block.offset), [0, 12]);
+});
+
+test('Reddit: the textarea of old.reddit.com', () => {
+	var window = load('old-reddit.html', 'https://old.reddit.com/r/test/comments/abc/title/');
+	var {composer, posts} = compose(window, Adapters.reddit);
+	assert.strictEqual(composer.root.tagName, 'FORM');
+	assert.strictEqual(composer.submit.className, 'save');
+	assert.deepStrictEqual(posts.map((post) => post.text), ['Go to paypa1.com/login']);
+	assert.deepStrictEqual(texts(Adapters.reddit.blocks(posts[0].editor)), ['Go to paypa1.com/login']);
+});
+
+test('generic form: the submit button, not the toolbar buttons without a type', () => {
+	var window = load('generic-form.html', 'https://forum.example/t/1');
+	var document = window.document;
+	var {composer, posts} = compose(window, Adapters.generic);
+	assert.strictEqual(composer.kind, 'form');
+	assert.strictEqual(composer.submit.className, 'send');
+	assert.deepStrictEqual(posts.map((post) => post.text), ['Meet at tell.me later']);
+	// a form without an editor is no composer
+	assert.strictEqual(document.querySelector('.search').querySelector(Adapters.generic.editorSelector), null);
+
+	var submitter = null;
+	var bold = false;
+	composer.root.addEventListener('submit', (event) => {
+		event.preventDefault();
+		submitter = event.submitter;
+	});
+	document.querySelector('.bold').addEventListener('click', () => {
+		bold = true;
+	});
+	Adapters.generic.submit(composer);
+	assert.strictEqual(submitter, composer.submit);
+	assert.strictEqual(bold, false);
+});
+
+test('generic form: the clicked submit button, and untyped buttons when there is no other', () => {
+	var window = new JSDOM('<form><textarea></textarea><button class="first">A</button><button class="second">B</button></form>').window;
+	var document = window.document;
+	var adapter = Adapters.generic;
+	assert.strictEqual(adapter.composerFor(document.querySelector('textarea')).submit.className, 'first');
+	assert.strictEqual(adapter.composerFor(document.querySelector('.second')).submit.className, 'second');
+	document.querySelectorAll('button').forEach((button) => button.setAttribute('type', 'button'));
+	assert.strictEqual(adapter.composerFor(document.querySelector('textarea')), null);
+});
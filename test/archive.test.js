@@ -0,0 +1,62 @@
+// Twitter archives (archive.js): the tweets read out of data/tweets.js
+// (test/fixtures/archive, as .txt so that node --test does not run it), as
+// they were typed, and the CSV of an audit.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var Archive = require('../archive.js');
+
+var TWEETS = fs.readFileSync(path.join(__dirname, 'fixtures', 'archive', 'tweets.js.txt'), 'utf8');
+
+test('the tweets of an archive, oldest first and without retweets', () => {
+	var tweets = Archive.parse(TWEETS);
+	assert.deepStrictEqual(tweets.map((tweet) => [tweet.id, tweet.date]), [
+		['20', '2006-03-21T20:50:14.000Z'],
+		['1050118621198921728', '2018-10-10T20:19:24.000Z'],
+		['1150118621198921728', '2019-07-15T09:00:00.000Z']
+	]);
+});
+
+test('both the window.YTD.tweet and window.YTD.tweets prefixes', () => {
+	assert.match(TWEETS, /^window\.YTD\.tweet\.part0 = /);
+	var current = TWEETS.replace('window.YTD.tweet.part0', 'window.YTD.tweets.part0') + ';\n';
+	assert.deepStrictEqual(Archive.parse(current), Archive.parse(TWEETS));
+	assert.throws(() => Archive.parse('window.YTD.tweets.part0 = {"tweet": {}}'), /not the tweets\.js of a Twitter archive: it has no list/);
+	assert.throws(() => Archive.parse('<html>'), /not the tweets\.js of a Twitter archive/);
+});
+
+test('the text as it was typed: links as shown, no media links, entities decoded', () => {
+	var [first, youyou, paypa1] = Archive.parse(TWEETS);
+	assert.deepStrictEqual(youyou.urls, ['you.you']);
+	assert.strictEqual(youyou.text, 'Good for you.you are blind');
+	// a display_url cut short with … is taken from the expanded_url
+	assert.deepStrictEqual(paypa1.urls, ['paypa1.com/login', 'example.com/a/rather/long/path/to/a/page']);
+	assert.strictEqual(paypa1.text, 'Log in at paypa1.com/login & read example.com/a/rather/long/path/to/a/page <3');
+	// an archive without entities does not say which URLs were linked
+	assert.deepStrictEqual(first, {id: '20', date: '2006-03-21T20:50:14.000Z', text: 'just setting up my twttr', urls: null});
+});
+
+test('the CSV of an audit, with formulas made harmless', () => {
+	var row = {
+		id: '1150118621198921728',
+		date: '2019-07-15T09:00:00.000Z',
+		url: 'paypa1.com/login',
+		verdict: 'lookalike',
+		margin: null,
+		probability: 0.91234,
+		suggestion: 'paypal.com/login',
+		registration: {domain: 'paypa1.com', status: 'registered', created: '2026-10-01T09:30:00Z', expires: null, registrar: null},
+		nameServers: 'some',
+		tweet: 'https://twitter.com/i/web/status/1150118621198921728',
+		text: '=HYPERLINK("x"), then\n"paypa1.com/login"'
+	};
+	var unknown = Object.assign({}, row, {date: null, probability: null, suggestion: null, registration: null, nameServers: null, text: '@you -1 +1'});
+	var lines = Archive.toCSV([row, unknown]).split('\r\n');
+	assert.strictEqual(lines[0], Archive.COLUMNS.join(','));
+	assert.strictEqual(lines[1], '2019-07-15T09:00:00.000Z,1150118621198921728,paypa1.com/login,lookalike,0.912,paypal.com/login,registered,2026-10-01,some,' +
+		'https://twitter.com/i/web/status/1150118621198921728,"\'=HYPERLINK(""x""), then\n""paypa1.com/login"""');
+	assert.strictEqual(lines[2], ',1150118621198921728,paypa1.com/login,lookalike,,,unknown,,unknown,https://twitter.com/i/web/status/1150118621198921728,\'@you -1 +1');
+	assert.strictEqual(lines[3], '');
+});
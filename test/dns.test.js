@@ -0,0 +1,143 @@
+// DNS lookups for the NS feature against the local DoH stand-in
+// (tools/doh-server.js, with the zones of test/fixtures/dns), in both of its
+// formats, and the timeout and cache in front of them.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var http = require('http');
+var path = require('path');
+var DNS = require('../dns.js');
+var TypoDetector = require('../detector.js');
+var ResourceLoaders = require('../loaders.js');
+var dohServer = require('../tools/doh-server.js');
+
+var ZONES = path.join(__dirname, 'fixtures', 'dns', 'zones.json');
+
+function listening(server) {
+	return new Promise((resolve) => server.on('listening', () => resolve(server)));
+}
+
+// Runs tools/doh-server.js on a free port for as long as run(endpoint) runs
+function withDoh(run) {
+	return listening(dohServer([ZONES, '--port', '0'])).then((server) => {
+		var endpoint = 'http://localhost:' + server.address().port + '/dns-query';
+		return Promise.resolve(endpoint).then(run).finally(() => server.close());
+	});
+}
+
+// A resolver that counts the lookups that get through to resolver
+function counting(resolver) {
+	var counted = {lookups: 0};
+	counted.query = (name, type) => {
+		counted.lookups++;
+		return resolver.query(name, type);
+	};
+	return counted;
+}
+
+function hosts(answers) {
+	return answers.map((record) => record.data).sort();
+}
+
+['json', 'wire'].forEach((format) => {
+	test('DoH ' + format + ': name servers, and none for a name that does not exist', () => {
+		return withDoh((endpoint) => {
+			var resolver = new DNS.DohResolver({endpoint: endpoint, format: format});
+			return Promise.all([
+				resolver.query('Example.com.', 'NS'),
+				resolver.query('paypal.com', DNS.QueryType.NS),
+				resolver.query('you.you', 'NS')
+			]).then(([example, paypal, missing]) => {
+				assert.deepStrictEqual(hosts(example), ['ns1.example.com', 'ns2.example.com']);
+				assert.strictEqual(example[0].type, DNS.QueryType.NS);
+				assert.deepStrictEqual(paypal.map((record) => record.TTL), [60]);
+				assert.strictEqual(missing.length, 0);
+			});
+		});
+	});
+});
+
+test('a lookup that times out gets the fallback, and the ns feature 0', () => {
+	var silent = http.createServer(() => {});
+	return listening(silent.listen(0)).then(() => {
+		var endpoint = 'http://localhost:' + silent.address().port + '/dns-query';
+		var resolver = DNS.createResolver({endpoint: endpoint, timeout: 100, storage: false});
+		return resolver.query('you.you', 'NS').then((answers) => {
+			assert.strictEqual(answers, null);
+			return TypoDetector.loadDetector(ResourceLoaders.fileLoader(), {resolver: resolver});
+		}).then((detector) => detector.analyzeText('Good for you.you are blind')).then((findings) => {
+			assert.strictEqual(findings[0].url, 'you.you');
+			assert.strictEqual(findings[0].features.ns, 0);
+			assert.strictEqual(findings[0].nameServers, null);
+		});
+	}).finally(() => {
+		silent.closeAllConnections();
+		silent.close();
+	});
+});
+
+test('cached answers are used until they expire, then asked again', () => {
+	return withDoh((endpoint) => {
+		var time = 1000000;
+		var storage = DNS.memoryStorage();
+		var doh = counting(new DNS.DohResolver({endpoint: endpoint}));
+		var resolver = new DNS.CachingResolver(doh, {storage: storage, now: () => time});
+		return resolver.query('paypal.com', 'NS').then(() => resolver.query('paypal.com', 'NS')).then((answers) => {
+			assert.deepStrictEqual(hosts(answers), ['ns1.p57.dynect.net']);
+			assert.strictEqual(doh.lookups, 1);
+			return storage.get('dns:2:paypal.com');
+		}).then((entry) => {
+			assert.strictEqual(entry.expires, 1000000 + 60 * 1000);
+			time += 61 * 1000;
+			return resolver.query('paypal.com', 'NS');
+		}).then((answers) => {
+			assert.deepStrictEqual(hosts(answers), ['ns1.p57.dynect.net']);
+			assert.strictEqual(doh.lookups, 2);
+			return storage.get('dns:2:paypal.com');
+		}).then((entry) => {
+			assert.strictEqual(entry.expires, time + 60 * 1000);
+		});
+	});
+});
+
+test('expired answers are deleted, and the cache keeps at most maxEntries', () => {
+	var time = 5000;
+	var storage = DNS.memoryStorage();
+	var fake = counting(new DNS.FakeResolver({'a.com': [{data: 'ns.a.com', TTL: 10}], 'b.com': [{data: 'ns.b.com', TTL: 300}]}));
+	var resolver = new DNS.CachingResolver(fake, {storage: storage, maxEntries: 2, negativeTTL: 100, now: () => time});
+	var cached = () => storage.keys('dns:').then((keys) => keys.sort());
+	return storage.set('dns:2:old.com', {answers: [], expires: 1}).then(() => resolver.query('a.com', 'NS')).then(cached).then((keys) => {
+		assert.deepStrictEqual(keys, ['dns:2:a.com']);
+		time += 20 * 1000;
+		return resolver.query('a.com', 'NS');
+	}).then(() => storage.get('dns:2:a.com')).then((entry) => {
+		assert.strictEqual(fake.lookups, 2);
+		assert.strictEqual(entry.expires, time + 10 * 1000);
+		return ['b.com', 'c.com', 'd.com'].reduce((done, name) => done.then(() => resolver.query(name, 'NS')), Promise.resolve());
+	}).then(cached).then((keys) => {
+		// a.com and then c.com expire first
+		assert.deepStrictEqual(keys, ['dns:2:b.com', 'dns:2:d.com']);
+	});
+});
+
+test('chrome.storage failures reject, and only cost the cache', () => {
+	var chrome = global.chrome = {runtime: {lastError: null}};
+	var area = {
+		get: (keys, callback) => callback({}),
+		set: (items, callback) => {
+			chrome.runtime.lastError = {message: 'QUOTA_BYTES quota exceeded'};
+			callback();
+			chrome.runtime.lastError = null;
+		},
+		remove: (key, callback) => callback()
+	};
+	var storage = DNS.chromeStorage(area);
+	var fake = new DNS.FakeResolver({'example.com': ['ns1.example.com']});
+	return assert.rejects(storage.set('dns:2:example.com', {}), /QUOTA_BYTES/).then(() => {
+		return new DNS.CachingResolver(fake, {storage: storage}).query('example.com', 'NS');
+	}).then((answers) => {
+		assert.deepStrictEqual(hosts(answers), ['ns1.example.com']);
+	}).finally(() => {
+		delete global.chrome;
+	});
+});
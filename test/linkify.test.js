@@ -0,0 +1,90 @@
+// The URLs the detector looks at on Twitter (findTwitterLinks, linkify.js)
+// against those of twitter-text itself, at the version in package.json.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var twitterText = require('twitter-text');
+var TypoDetector = require('../detector.js');
+var ResourceLoaders = require('../loaders.js');
+
+var loading = TypoDetector.loadDetector(ResourceLoaders.fileLoader());
+
+// Links as twitter-text's extractUrlsWithIndices() gives them
+function links(detector, text) {
+	return detector.findTwitterLinks(text).map((candidate) => ({url: candidate.link, indices: [candidate.start, candidate.end]}));
+}
+
+function assertLinkedLikeTwitter(detector, texts) {
+	texts.forEach((text) => {
+		assert.deepStrictEqual(links(detector, text), twitterText.extractUrlsWithIndices(text), JSON.stringify(text));
+	});
+}
+
+test('bare country code domains are linked', () => {
+	return loading.then((detector) => {
+		assert.deepStrictEqual(links(detector, 'it.so münchen.de test.it now.It'), [
+			{url: 'it.so', indices: [0, 5]},
+			{url: 'münchen.de', indices: [6, 16]},
+			{url: 'test.it', indices: [17, 24]},
+			{url: 'now.It', indices: [25, 31]}
+		]);
+	});
+});
+
+test('the same links as twitter-text', () => {
+	return loading.then((detector) => {
+		assertLinkedLikeTwitter(detector, [
+			'',
+			'no links here',
+			'Good for you.you\'re not blind',
+			'It.so happens I agree. See me.no, it.my, tell.me',
+			'example.com example.co example.tv example.zip example.onion example.c',
+			'http://example.com https://example.com/path?q=1&r=2#frag HTTP://EXAMPLE.COM',
+			'example.com:8080/path example.com:80 http://example.com:65536/x',
+			'www.example.com. example.com, example.com! (example.com) "example.com"',
+			'x.com/a(b)c x.com/a(b(c)d)e x.com/a) x.com/path. x.com/path, x.com/?q=a.',
+			'@user.com #tag.com $cash.com user@example.com -example.com _example.com .example.com /example.com',
+			'＠example.com ＃example.com a‎example.com ‪example.com',
+			'https://t.co/abc123 https://t.co/abc123/more https://t.co/abc?x=1. http://t.co/' + 'a'.repeat(41),
+			'xn--mnchen-3ya.de xn--p1ai.xn--p1ai пример.рф http://пример.рф/путь',
+			'日本.jp abc.com日本.jp/path 日本.jp/x abc.com日本.com/p',
+			'例え.テスト google.みんな google.みんなの みんな.com',
+			'a'.repeat(63) + '.com ' + 'a'.repeat(64) + '.com ' + 'ü'.repeat(56) + '.com ' + 'ü'.repeat(57) + '.com',
+			'example.com/' + 'a'.repeat(4096) + ' http://example.com/' + 'b'.repeat(4070),
+			'foo.com-bar foo.com+bar foo.com@bar foo.comp foo.co.uk foo.co.uk/x',
+			'sub_domain.example.com under_score.com a-.com -a.com a--b.com',
+			'example.com/@user/ example.com/@user example.com/~me/ example.com/a–b',
+			'foo.bar.baz.example.org/a/b.c/d?e=f(g)&h=i#j',
+			'tabs\texample.com\nnewline.com\r\nexample.org'
+		]);
+	});
+});
+
+// Every pair of the fragments, on their own and joined, catches what a
+// handful of sentences cannot
+test('the same links as twitter-text, for texts made up of fragments', () => {
+	var fragments = ['it.so', 'münchen.de', 'http://', 'https://t.co/x', 'example.com', '/path', '?q=1', '(', ')', '.', ',', '@', '#', '$', '-', '_', '日本', '.jp', ':80', 'www.', 'ü', '.рф', 'xn--p1ai', '‎', '"', '!', 'a'];
+	var separators = ['', ' ', '.', '/'];
+	return loading.then((detector) => {
+		var texts = new Array();
+		fragments.forEach((first) => {
+			fragments.forEach((second) => {
+				separators.forEach((separator) => {
+					texts.push(first + separator + second);
+					texts.push('x.com ' + first + separator + second + '.com/x');
+				});
+			});
+		});
+		assertLinkedLikeTwitter(detector, texts);
+	});
+});
+
+test('every TLD of twitter-text, and only those', () => {
+	var Linkify = require('../linkify.js');
+	return loading.then((detector) => {
+		var tlds = Linkify.GTLDS.concat(Linkify.CCTLDS);
+		assert.strictEqual(new Set(tlds).size, tlds.length);
+		assertLinkedLikeTwitter(detector, tlds.map((tld) => 'name.' + tld + ' name.' + tld.toUpperCase() + 'x name.' + tld + '/p'));
+		assertLinkedLikeTwitter(detector, ['name.local name.internal name.example name.test name.invalid name.home']);
+	});
+});
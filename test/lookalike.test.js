@@ -0,0 +1,52 @@
+// Lookalike domains against the bundled domains.txt and Public Suffix List.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var PSL = require('../psl.js');
+var Lookalike = require('../lookalike.js');
+
+var root = path.join(__dirname, '..');
+var psl = PSL.parse(fs.readFileSync(path.join(root, 'public_suffix_list.dat'), 'utf8'));
+var index = new Lookalike.LookalikeIndex(Lookalike.parse(fs.readFileSync(path.join(root, 'domains.txt'), 'utf8')), psl);
+
+function lookalike(url) {
+	var match = index.match(url);
+	return match && match.domain;
+}
+
+test('one slip away from a popular domain', () => {
+	assert.strictEqual(lookalike('gooogle.com'), 'google.com');
+	assert.strictEqual(index.match('gooogle.com').kind, 'repetition');
+	assert.strictEqual(lookalike('paypa1.com'), 'paypal.com');
+	assert.strictEqual(lookalike('раypal.com'), 'paypal.com');
+	assert.deepStrictEqual(index.match('login.githib.com/x'), {domain: 'github.com', kind: 'keyboard', suggestion: 'login.github.com/x'});
+});
+
+test('a suffix that could be taken for the popular domain\'s', () => {
+	assert.strictEqual(lookalike('gooogle.co'), 'google.com');
+	assert.strictEqual(lookalike('paypa1.cоm'), 'paypal.com');
+	assert.strictEqual(Lookalike.confusableSuffix('con', 'com'), true);
+	assert.strictEqual(Lookalike.confusableSuffix('so', 'com'), false);
+	assert.strictEqual(Lookalike.confusableSuffix('is', 'us'), false);
+});
+
+test('words that lost their space are not lookalikes', () => {
+	['well.so', 'tell.me', 'being.so', 'chose.to', 'apply.to', 'room.to', 'gooogle.net'].forEach((url) => {
+		assert.strictEqual(lookalike(url), null, url);
+	});
+});
+
+test('popular domains and short names are left alone', () => {
+	assert.strictEqual(lookalike('google.com'), null);
+	assert.strictEqual(lookalike('mail.google.com/x'), null);
+	assert.strictEqual(lookalike('bnig.com'), 'bing.com');
+	assert.strictEqual(lookalike('x.com'), null);
+});
+
+test('of two domains one slip away, the more popular one', () => {
+	var popular = (domains) => new Lookalike.LookalikeIndex(domains, psl).match('bbbbbb.com').domain;
+	assert.strictEqual(popular(['bbbbxb.com', 'abbbbb.com']), 'bbbbxb.com');
+	assert.strictEqual(popular(['abbbbb.com', 'bbbbxb.com']), 'abbbbb.com');
+});
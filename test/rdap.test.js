@@ -0,0 +1,139 @@
+// Registration lookups against the local RDAP stand-in
+// (tools/rdap-server.js, with the domains of test/fixtures/rdap), through its
+// bootstrap registry, and the cache and timeout in front of them.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var http = require('http');
+var path = require('path');
+var RDAP = require('../rdap.js');
+var rdapServer = require('../tools/rdap-server.js');
+
+var DOMAINS = path.join(__dirname, 'fixtures', 'rdap', 'domains.json');
+var DAY = 24 * 60 * 60 * 1000;
+
+function listening(server) {
+	return new Promise((resolve) => server.on('listening', () => resolve(server)));
+}
+
+// Runs tools/rdap-server.js on a free port for as long as run(bootstrap)
+// runs, bootstrap being the URL of its registry
+function withRdap(run) {
+	return listening(rdapServer([DOMAINS, '--port', '0'])).then((server) => {
+		var bootstrap = 'http://localhost:' + server.address().port + '/dns.json';
+		return Promise.resolve(bootstrap).then(run).finally(() => {
+			server.closeAllConnections();
+			server.close();
+		});
+	});
+}
+
+// A client that counts the lookups that get through to client
+function counting(client) {
+	var counted = {lookups: 0};
+	counted.lookup = (domain) => {
+		counted.lookups++;
+		return client.lookup(domain);
+	};
+	return counted;
+}
+
+test('the bootstrap registry sends each TLD to its server, the longest suffix first', () => {
+	var bootstrap = new RDAP.Bootstrap({services: [
+		[['uk', 'COM'], ['http://rdap.uk.example/']],
+		[['co.uk'], ['http://rdap.co.uk.example/', 'https://rdap.co.uk.example/']]
+	]});
+	assert.strictEqual(bootstrap.serverFor('Shop.Example.com.'), 'http://rdap.uk.example/');
+	assert.strictEqual(bootstrap.serverFor('example.co.uk'), 'https://rdap.co.uk.example/');
+	assert.strictEqual(bootstrap.serverFor('example.org.uk'), 'http://rdap.uk.example/');
+	assert.strictEqual(bootstrap.serverFor('example.internal'), null);
+});
+
+test('registered, unregistered and unknown domains', () => {
+	return withRdap((bootstrap) => {
+		var client = new RDAP.RdapClient({bootstrap: bootstrap});
+		return Promise.all([
+			client.lookup('Example.com.'),
+			client.lookup('paypa1.com'),
+			client.lookup('never-registered.com'),
+			client.lookup('example.internal')
+		]).then(([example, paypa1, unregistered, internal]) => {
+			assert.deepStrictEqual(example, {
+				domain: 'example.com',
+				status: 'registered',
+				created: '1995-08-14T04:00:00Z',
+				expires: '2027-08-13T04:00:00Z',
+				registrar: 'RESERVED-IANA'
+			});
+			assert.deepStrictEqual([paypa1.status, paypa1.created, paypa1.registrar], ['registered', '2026-10-01T09:30:00Z', null]);
+			assert.strictEqual(unregistered.status, 'unregistered');
+			assert.strictEqual(internal.status, 'unknown');
+		});
+	});
+});
+
+test('answers are cached for a day when registered, an hour when not', () => {
+	return withRdap((bootstrap) => {
+		var time = Date.parse('2026-10-19T12:00:00Z');
+		var rdap = counting(new RDAP.RdapClient({bootstrap: bootstrap}));
+		var client = new RDAP.CachingClient(rdap, {now: () => time});
+		var both = () => Promise.all([client.lookup('example.com'), client.lookup('never-registered.com')]);
+		return both().then(both).then(([example, unregistered]) => {
+			assert.strictEqual(example.status, 'registered');
+			assert.strictEqual(unregistered.status, 'unregistered');
+			assert.strictEqual(rdap.lookups, 2);
+			time += DAY / 24 + 1;
+			return both();
+		}).then(() => {
+			// only the unregistered domain was asked again
+			assert.strictEqual(rdap.lookups, 3);
+			time += DAY;
+			return both();
+		}).then(() => {
+			assert.strictEqual(rdap.lookups, 5);
+			return client.lookup('example.internal').then(() => client.lookup('example.internal'));
+		}).then((internal) => {
+			// unknown is asked again every time
+			assert.strictEqual(internal.status, 'unknown');
+			assert.strictEqual(rdap.lookups, 7);
+		});
+	});
+});
+
+test('a lookup that times out or fails is unknown', () => {
+	var silent = http.createServer(() => {});
+	return listening(silent.listen(0)).then(() => {
+		var bootstrap = 'http://localhost:' + silent.address().port + '/dns.json';
+		var client = RDAP.createClient({bootstrap: bootstrap, timeout: 100, storage: false});
+		var failing = new RDAP.TimeoutClient({lookup: () => Promise.reject(new Error('ECONNREFUSED'))});
+		return Promise.all([client.lookup('paypa1.com'), failing.lookup('paypa1.com')]);
+	}).then((registrations) => {
+		registrations.forEach((registration) => {
+			assert.deepStrictEqual(registration, {domain: 'paypa1.com', status: 'unknown', created: null, expires: null, registrar: null});
+		});
+	}).finally(() => {
+		silent.closeAllConnections();
+		silent.close();
+	});
+});
+
+test('what a registration says, and whether it is recent', () => {
+	var now = Date.parse('2026-10-19T12:00:00Z');
+	var registered = (created) => ({domain: 'paypa1.com', status: 'registered', created: created, expires: null, registrar: null});
+	var recent = registered('2026-10-01T09:30:00Z');
+	var old = registered('1995-08-14T04:00:00Z');
+	assert.strictEqual(RDAP.describe(recent, now), 'paypa1.com was registered on 2026-10-01, only 18 days ago.');
+	assert.strictEqual(RDAP.describe(registered('2026-10-18T12:00:00Z'), now), 'paypa1.com was registered on 2026-10-18, only 1 day ago.');
+	assert.strictEqual(RDAP.describe(registered('2026-03-01T00:00:00Z'), now), 'paypa1.com was registered on 2026-03-01, 7 months ago.');
+	assert.strictEqual(RDAP.describe(old, now), 'paypa1.com was registered on 1995-08-14, 31 years ago.');
+	assert.strictEqual(RDAP.describe(registered(null), now), 'paypa1.com is registered.');
+	assert.strictEqual(RDAP.describe({domain: 'paypa1.com', status: 'unregistered'}, now), 'paypa1.com is not registered: anyone could buy it.');
+	assert.strictEqual(RDAP.describe({domain: 'paypa1.com', status: 'unknown'}, now), 'Could not find out whether paypa1.com is registered.');
+
+	assert.strictEqual(RDAP.isRecent(recent, now), true);
+	assert.strictEqual(RDAP.isRecent(registered(new Date(now - (RDAP.RECENT_DAYS - 1) * DAY).toISOString()), now), true);
+	assert.strictEqual(RDAP.isRecent(registered(new Date(now - RDAP.RECENT_DAYS * DAY).toISOString()), now), false);
+	assert.strictEqual(RDAP.isRecent(old, now), false);
+	assert.strictEqual(RDAP.isRecent(registered(null), now), false);
+	assert.strictEqual(RDAP.isRecent({domain: 'paypa1.com', status: 'unregistered', created: '2026-10-01T09:30:00Z'}, now), false);
+});
@@ -0,0 +1,102 @@
+// How long checking a post may take, and where the time goes.
+//
+// Clicking Post holds the post back until the check is done, so the check has
+// a budget (in milliseconds):
+//   candidates  finding the URLs in the text
+//   prefilter   Prefiltering, with its word and suffix lookups
+//   features    extracting the features, which is nearly all NS lookups (cached
+//               lookups are free, new ones cost a round trip to the resolver)
+//   model       running the classifier
+//   messaging   getting the text to the analysis worker and the findings back
+//   total       from the click to the warning, or to the post going out
+// A Timer collects the time spent in each stage. Checks that go over budget
+// are logged as warnings, the others as plain log lines.
+
+var Timing = (function(exports){
+
+	var BUDGET = {
+		candidates: 5,
+		prefilter: 5,
+		features: 150,
+		model: 5,
+		messaging: 20,
+		total: 200
+	};
+
+	function now() {
+		return typeof performance != 'undefined' ? performance.now() : Date.now();
+	}
+
+	class Timer {
+		// clock returns the time in milliseconds (performance.now by default)
+		constructor(clock) {
+			this.clock = clock || now;
+			this.started = this.clock();
+			this.last = this.started;
+			this.stages = {};
+		}
+
+		// Charges the time since the last lap (or the start) to stage
+		lap(stage) {
+			var time = this.clock();
+			this.add(stage, time - this.last);
+			this.last = time;
+			return this;
+		}
+
+		// Charges ms to stage, e.g. time measured elsewhere
+		add(stage, ms) {
+			this.stages[stage] = (this.stages[stage] || 0) + ms;
+			return this;
+		}
+
+		elapsed() {
+			return this.clock() - this.started;
+		}
+
+		// {stage: ms, ..., total: ms}
+		toJSON() {
+			return Object.assign({}, this.stages, {total: this.elapsed()});
+		}
+	}
+
+	// Names of the stages of timings that took longer than their budget
+	function overBudget(timings, budget) {
+		budget = budget || BUDGET;
+		return Object.keys(timings).filter((stage) => budget[stage] !== undefined && timings[stage] > budget[stage]);
+	}
+
+	// e.g. "Post checked in 182 ms (candidates 0, prefilter 1, features 170, model 0, messaging 11)"
+	function report(label, timings, budget) {
+		var stages = Object.keys(timings).filter((stage) => stage !== 'total');
+		var text = label + ' in ' + Math.round(timings.total) + ' ms';
+		if (stages.length > 0) {
+			text += ' (' + stages.map((stage) => stage + ' ' + Math.round(timings[stage])).join(', ') + ')';
+		}
+		var over = overBudget(timings, budget);
+		if (over.length > 0) {
+			text += ', over budget: ' + over.join(', ');
+		}
+		return text;
+	}
+
+	function log(label, timer, budget) {
+		var timings = timer.toJSON();
+		if (overBudget(timings, budget).length > 0) {
+			console.warn(report(label, timings, budget));
+		} else {
+			console.log(report(label, timings, budget));
+		}
+		return timings;
+	}
+
+	// export public members
+	exports = exports || {};
+	exports.BUDGET = BUDGET;
+	exports.Timer = Timer;
+	exports.overBudget = overBudget;
+	exports.report = report;
+	exports.log = log;
+	return exports;
+
+})(typeof module != 'undefined' && module.exports);
@@ -0,0 +1,69 @@
+// Local stand-in for a DNS-over-HTTPS server, so the NS feature can be
+// exercised without network access.
+//
+//   node tools/doh-server.js [zones.json] [--port 8053]
+//
+// zones.json maps names to records in the format FakeResolver accepts, e.g.
+//   {"example.com": ["ns1.example.com", "ns2.example.com"]}
+// Every other name answers NXDOMAIN. Point the extension or the detector at
+// it with endpoint 'http://localhost:8053/dns-query' (format 'json' or 'wire').
+
+var http = require('http');
+var fs = require('fs');
+var DNS = require('../dns.js');
+
+function main(args) {
+	var port = 8053;
+	var zonesFile;
+	for (var i = 0; i < args.length; i++) {
+		if (args[i] === '--port') {
+			port = Number(args[++i]);
+		} else {
+			zonesFile = args[i];
+		}
+	}
+	var zones = zonesFile ? JSON.parse(fs.readFileSync(zonesFile, 'utf8')) : {};
+	var resolver = new DNS.FakeResolver(zones);
+
+	var server = http.createServer((request, response) => {
+		var url = new URL(request.url, 'http://localhost');
+		if (url.pathname !== '/dns-query') {
+			response.writeHead(404);
+			response.end();
+			return;
+		}
+
+		if (url.searchParams.has('dns')) {
+			var encoded = url.searchParams.get('dns').replace(/-/g, '+').replace(/_/g, '/');
+			var query = new Uint8Array(Buffer.from(encoded, 'base64'));
+			var question = DNS.decodeMessage(query).questions[0];
+			resolver.query(question.name, question.type).then((answers) => {
+				var rcode = resolver.records.has(question.name) ? 0 : 3;
+				response.writeHead(200, {'Content-Type': 'application/dns-message'});
+				response.end(Buffer.from(DNS.encodeResponse(query, rcode, answers)));
+			});
+		} else if (url.searchParams.has('name')) {
+			var name = url.searchParams.get('name');
+			var type = url.searchParams.get('type') || 'A';
+			resolver.query(name, isNaN(type) ? type : Number(type)).then((answers) => {
+				var status = resolver.records.has(name.toLowerCase().replace(/\.$/, '')) ? 0 : 3;
+				response.writeHead(200, {'Content-Type': 'application/dns-json'});
+				response.end(JSON.stringify({Status: status, Answer: answers}));
+			});
+		} else {
+			response.writeHead(400);
+			response.end();
+		}
+	});
+
+	server.listen(port, () => {
+		console.log('DoH stand-in listening on http://localhost:' + port + '/dns-query');
+	});
+	return server;
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2));
+}
+
+module.exports = main;
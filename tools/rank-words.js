@@ -0,0 +1,52 @@
+// Re-ranks a word list by how often its words are used in a corpus, so that
+// the base dictionary can be rebuilt from real text.
+//
+//   node tools/rank-words.js words.txt corpus.txt... [--top 5000] > ranked.txt
+//
+// Words are ordered by their count in the corpus files, most used first;
+// words with the same count keep their order in the list. Comment lines at
+// the top of the list are kept, and its "# Ranked: n" line says how many
+// words the corpus has. --top keeps only that many words.
+
+var fs = require('fs');
+var Lexicon = require('../lexicon.js');
+var Languages = require('../languages.js');
+
+function main(args) {
+	var files = new Array();
+	var top = Infinity;
+	for (var i = 0; i < args.length; i++) {
+		if (args[i] === '--top') {
+			top = Number(args[++i]);
+		} else {
+			files.push(args[i]);
+		}
+	}
+	if (files.length < 2 || !(top > 0)) {
+		console.error('Usage: node tools/rank-words.js words.txt corpus.txt... [--top 5000]');
+		return 2;
+	}
+	var text = fs.readFileSync(files[0], 'utf8');
+	var list = Lexicon.parse(text);
+	var counts = new Map();
+	files.slice(1).forEach((file) => {
+		Languages.words(fs.readFileSync(file, 'utf8')).forEach((word) => {
+			if (list.has(word)) {
+				counts.set(word, (counts.get(word) || 0) + 1);
+			}
+		});
+	});
+	var ranked = list.list()
+		.map((word, rank) => ({word: word, rank: rank, count: counts.get(word) || 0}))
+		.sort((a, b) => b.count - a.count || a.rank - b.rank)
+		.slice(0, top)
+		.map((item) => item.word);
+	var header = text.split(/\r?\n/).filter((line, i, lines) => lines.slice(0, i + 1).every((previous) => previous.startsWith('#')));
+	// the words the corpus does not have follow in no particular order
+	var marker = '# Ranked: ' + Math.min(ranked.length, Array.from(counts.keys()).length);
+	header = header.filter((line) => !/^#\s*Ranked:/i.test(line)).concat([marker]);
+	process.stdout.write(header.concat(ranked).join('\n') + '\n');
+	return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,96 @@
+// Local stand-in for the RDAP servers of the registries and for the IANA
+// bootstrap registry, so registration checks can be exercised without
+// network access.
+//
+//   node tools/rdap-server.js [domains.json] [--port 8054]
+//
+// domains.json maps registered domains to records in the format
+// FakeRdapClient accepts, e.g.
+//   {"example.com": {"created": "1995-08-14T04:00:00Z", "registrar": "RESERVED-IANA"}}
+// Every other domain answers 404, i.e. is not registered. The bootstrap
+// registry at /dns.json sends every top-level domain of the bundled Public
+// Suffix List to this server; point a client at it with bootstrap
+// 'http://localhost:8054/dns.json'.
+
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+var RDAP = require('../rdap.js');
+var PSL = require('../psl.js');
+var punycode = require('../punycode.js');
+
+// An RDAP domain object (RFC 9083) for a record of FakeRdapClient
+function domainObject(registration) {
+	var events = new Array();
+	if (registration.created) {
+		events.push({eventAction: 'registration', eventDate: registration.created});
+	}
+	if (registration.expires) {
+		events.push({eventAction: 'expiration', eventDate: registration.expires});
+	}
+	var entities = registration.registrar ? [{
+		objectClassName: 'entity',
+		roles: ['registrar'],
+		vcardArray: ['vcard', [['version', {}, 'text', '4.0'], ['fn', {}, 'text', registration.registrar]]]
+	}] : [];
+	return {
+		rdapConformance: ['rdap_level_0'],
+		objectClassName: 'domain',
+		ldhName: registration.domain,
+		events: events,
+		entities: entities
+	};
+}
+
+function main(args) {
+	var port = 8054;
+	var domainsFile;
+	for (var i = 0; i < args.length; i++) {
+		if (args[i] === '--port') {
+			port = Number(args[++i]);
+		} else {
+			domainsFile = args[i];
+		}
+	}
+	var records = domainsFile ? JSON.parse(fs.readFileSync(domainsFile, 'utf8')) : {};
+	var client = new RDAP.FakeRdapClient(records);
+	var psl = PSL.parse(fs.readFileSync(path.join(__dirname, '..', 'public_suffix_list.dat'), 'utf8'));
+	var tlds = psl.rules('icann').filter((rule) => /^[^.*!]+$/.test(rule)).map((tld) => punycode.toASCII(tld));
+
+	var server = http.createServer((request, response) => {
+		var url = new URL(request.url, 'http://localhost');
+		var headers = {'Content-Type': 'application/rdap+json', 'Access-Control-Allow-Origin': '*'};
+		if (url.pathname === '/dns.json') {
+			var base = 'http://localhost:' + server.address().port + '/';
+			response.writeHead(200, Object.assign({}, headers, {'Content-Type': 'application/json'}));
+			response.end(JSON.stringify({version: '1.0', publication: new Date().toISOString(), services: [[tlds, [base]]]}));
+			return;
+		}
+		var match = url.pathname.match(/^\/domain\/([^\/]+)$/);
+		if (!match) {
+			response.writeHead(400, headers);
+			response.end(JSON.stringify({errorCode: 400, title: 'Bad request'}));
+			return;
+		}
+		client.lookup(decodeURIComponent(match[1])).then((registration) => {
+			if (registration.status !== 'registered') {
+				response.writeHead(404, headers);
+				response.end(JSON.stringify({errorCode: 404, title: 'Not found'}));
+				return;
+			}
+			response.writeHead(200, headers);
+			response.end(JSON.stringify(domainObject(registration)));
+		});
+	});
+
+	server.listen(port, () => {
+		console.log('RDAP stand-in listening on http://localhost:' + port + '/ (bootstrap at /dns.json)');
+	});
+	return server;
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2));
+}
+
+module.exports = main;
@@ -0,0 +1,50 @@
+// Rebuilds domains.txt, the popular domains lookalike.js compares links
+// with, from a ranking of websites such as the Tranco list.
+//
+//   node tools/update-domains.js ranking.csv [--top 1000] > domains.txt
+//
+// The ranking has one domain per line, most popular first, either alone or
+// after its rank ("1,google.com"). Every domain is reduced to its registrable
+// domain with the Public Suffix List, so that mail.google.com and google.com
+// are one entry; later duplicates are dropped. --top keeps only that many.
+
+var fs = require('fs');
+var path = require('path');
+var PSL = require('../psl.js');
+
+var HEADER = [
+	'# Popular domains that typosquatters imitate, most visited first, one',
+	'# registrable domain per line. Used by lookalike.js; rebuild it from a',
+	'# ranking of your own with tools/update-domains.js.'
+];
+
+function main(args) {
+	var files = new Array();
+	var top = Infinity;
+	for (var i = 0; i < args.length; i++) {
+		if (args[i] === '--top') {
+			top = Number(args[++i]);
+		} else {
+			files.push(args[i]);
+		}
+	}
+	if (files.length != 1 || !(top > 0)) {
+		console.error('Usage: node tools/update-domains.js ranking.csv [--top 1000] > domains.txt');
+		return 2;
+	}
+	var psl = PSL.parse(fs.readFileSync(path.join(__dirname, '..', 'public_suffix_list.dat'), 'utf8'));
+	var domains = new Array();
+	var seen = new Set();
+	fs.readFileSync(files[0], 'utf8').split(/\r?\n/).forEach((line) => {
+		var domain = line.split(',').pop().trim().toLowerCase();
+		var registrable = domain.length > 0 && !domain.startsWith('#') ? psl.getRegistrableDomain(domain) : null;
+		if (registrable && !seen.has(registrable) && domains.length < top) {
+			seen.add(registrable);
+			domains.push(registrable);
+		}
+	});
+	process.stdout.write(HEADER.concat(domains).join('\n') + '\n');
+	return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
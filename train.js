@@ -0,0 +1,371 @@
+// Trains a new model for the extension from a labeled corpus.
+//
+//   node train.js [options] <corpus.jsonl>...
+//
+// Each line of a corpus file is a post with its URLs marked and labeled,
+// 1 for a typo URL and -1 for an intended one:
+//   {"text": "Good for you.you're not blind", "urls": [{"start": 9, "end": 16, "label": 1}]}
+// A URL may be given as {"url": "you.you", "label": 1} instead of a span, in
+// which case its first occurrence in the text is used.
+//
+// Features are extracted with the same detector the extension runs; URLs
+// that Prefiltering rules out never reach the model and are skipped (unless
+// --no-prefilter leaves it out of the model). Every combination of the grid
+// of every backend (see models.js) is scored with k-fold cross-validation,
+// the best one (by F1 of the typo class) is trained on the whole corpus and
+// written out as a model JSON the extension loads as created_model.json. The margins
+// the best one gave to its held-out folds calibrate the model, so that the
+// extension can tell how likely a flagged URL is to be a typo (see
+// calibration.js).
+//
+// Options:
+//   --folds <k>              number of folds (default 5)
+//   --backend <list>         svm, logistic, tree, stumps (default svm)
+//   --ensemble               also try a weighted ensemble of the best model of
+//                            each backend, weighted by their F1
+//   --no-prefilter           the model sees every URL, not only those that
+//                            pass Prefiltering
+//   --C <list>               comma-separated values of C, for svm and
+//                            logistic (default 0.1,1,10)
+//   --kernel <list>          linear, rbf or both (default linear,rbf)
+//   --rbfsigma <list>        sigmas tried for the rbf kernel (default 0.5,1,2)
+//   --depth <list>           depths tried for tree (default 2,3,4)
+//   --rounds <list>          boosting rounds tried for stumps (default 20,50)
+//   --seed <n>               seed of the fold shuffle (default 1)
+//   --calibration <method>   platt, isotonic or none (default platt)
+//   --out <file>             where to write the model (default model.json)
+//   --words <file>           word list (default words.txt)
+//   --psl <file>             a newer public_suffix_list.dat
+//   --dns-endpoint, --dns-format, --zones, --offline
+//                            DNS for the NS feature, as in cli.js
+
+var fs = require('fs');
+var path = require('path');
+var Models = require('./models.js');
+var TypoDetector = require('./detector.js');
+var ResourceLoaders = require('./loaders.js');
+var Calibration = require('./calibration.js');
+var Features = require('./features.js');
+var cli = require('./cli.js');
+
+function parseArgs(args) {
+	var options = {
+		files: [],
+		folds: 5,
+		backend: ['svm'],
+		C: [0.1, 1, 10],
+		kernel: ['linear', 'rbf'],
+		rbfsigma: [0.5, 1, 2],
+		depth: [2, 3, 4],
+		rounds: [20, 50],
+		seed: 1,
+		calibration: 'platt',
+		out: 'model.json'
+	};
+	var lists = ['--C', '--rbfsigma', '--depth', '--rounds'];
+	var valued = ['--folds', '--backend', '--kernel', '--seed', '--calibration', '--out', '--words', '--psl', '--dns-endpoint', '--dns-format', '--zones'];
+	for (var i = 0; i < args.length; i++) {
+		var arg = args[i];
+		if (lists.includes(arg) || valued.includes(arg)) {
+			if (i + 1 >= args.length) {
+				throw new Error(arg + ' needs a value');
+			}
+			var name = arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+			var value = args[++i];
+			if (lists.includes(arg)) {
+				options[name] = value.split(',').map(Number);
+			} else if (arg === '--kernel' || arg === '--backend') {
+				options[name] = value.split(',');
+			} else if (arg === '--folds' || arg === '--seed') {
+				options[name] = Number(value);
+			} else {
+				options[name] = value;
+			}
+		} else if (arg === '--offline') {
+			options.offline = true;
+		} else if (arg === '--ensemble') {
+			options.ensemble = true;
+		} else if (arg === '--no-prefilter') {
+			options.noPrefilter = true;
+		} else if (arg.startsWith('--')) {
+			throw new Error('Unknown option ' + arg);
+		} else {
+			options.files.push(arg);
+		}
+	}
+	if (options.files.length == 0) {
+		throw new Error('No corpus files');
+	}
+	options.backend.forEach((backend) => {
+		if (backend === 'ensemble' || !Models.BACKENDS[backend]) {
+			throw new Error('Unknown backend ' + backend);
+		}
+	});
+	options.kernel.forEach((kernel) => {
+		if (kernel !== 'linear' && kernel !== 'rbf') {
+			throw new Error('Unknown kernel ' + kernel);
+		}
+	});
+	if (options.calibration !== 'none' && !Calibration.METHODS.includes(options.calibration)) {
+		throw new Error('Unknown calibration method ' + options.calibration);
+	}
+	if (!(options.folds >= 2)) {
+		throw new Error('--folds must be at least 2');
+	}
+	return options;
+}
+
+// Reads corpus files into a list of posts: {text, urls: [{start, end, label}]}
+function readCorpus(files) {
+	var posts = new Array();
+	files.forEach((file) => {
+		fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, i) => {
+			if (line.trim() === '') {
+				return;
+			}
+			var record = JSON.parse(line);
+			var urls = (record.urls || []).map((marked) => {
+				var start = marked.start;
+				var end = marked.end;
+				if (start === undefined) {
+					start = record.text.indexOf(marked.url);
+					end = start + marked.url.length;
+					if (start == -1) {
+						throw new Error(file + ':' + (i + 1) + ': ' + marked.url + ' is not in the text');
+					}
+				}
+				return {start: start, end: end, label: marked.label > 0 ? 1 : -1};
+			});
+			posts.push({text: record.text, urls: urls});
+		});
+	});
+	return posts;
+}
+
+// Runs the detector over every marked URL. Resolves to {data, labels, skipped}
+function extractExamples(detector, posts, prefilter) {
+	return cli.inBatches(posts, (post) => {
+		var links = post.urls.map((marked) => post.text.slice(marked.start, marked.end));
+		return detector.analyzeText(post.text, {urls: links, prefilter: prefilter !== false}).then((findings) => {
+			return post.urls.map((marked) => {
+				var finding = findings.filter((item) => item.start == marked.start && item.end == marked.end)[0];
+				if (!finding || !finding.features) {
+					return null;
+				}
+				return {vector: Features.names().map((name) => finding.features[name]), label: marked.label};
+			});
+		});
+	}).then((perPost) => {
+		var examples = [].concat(...perPost);
+		var kept = examples.filter((example) => example !== null);
+		return {
+			data: kept.map((example) => example.vector),
+			labels: kept.map((example) => example.label),
+			skipped: examples.length - kept.length
+		};
+	});
+}
+
+// Small seeded generator so that folds are the same from run to run
+function mulberry32(seed) {
+	return function() {
+		seed |= 0;
+		seed = seed + 0x6D2B79F5 | 0;
+		var t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+		t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+		return ((t ^ t >>> 14) >>> 0) / 4294967296;
+	};
+}
+
+// Splits the indexes 0..n-1 into k folds, keeping the share of typo URLs
+// about the same in every fold.
+function makeFolds(labels, k, seed) {
+	var random = mulberry32(seed);
+	var folds = new Array(k).fill(null).map(() => new Array());
+	[1, -1].forEach((label) => {
+		var indexes = labels.map((item, i) => i).filter((i) => labels[i] == label);
+		for (var i = indexes.length - 1; i > 0; i--) {
+			var j = Math.floor(random() * (i + 1));
+			var swap = indexes[i];
+			indexes[i] = indexes[j];
+			indexes[j] = swap;
+		}
+		indexes.forEach((index, i) => folds[i % k].push(index));
+	});
+	return folds;
+}
+
+function confusionMatrix(labels, predictions) {
+	var matrix = {tp: 0, fp: 0, fn: 0, tn: 0};
+	labels.forEach((label, i) => {
+		if (label == 1) {
+			matrix[predictions[i] == 1 ? 'tp' : 'fn']++;
+		} else {
+			matrix[predictions[i] == 1 ? 'fp' : 'tn']++;
+		}
+	});
+	return matrix;
+}
+
+function scores(matrix) {
+	var precision = matrix.tp + matrix.fp == 0 ? 0 : matrix.tp / (matrix.tp + matrix.fp);
+	var recall = matrix.tp + matrix.fn == 0 ? 0 : matrix.tp / (matrix.tp + matrix.fn);
+	var f1 = precision + recall == 0 ? 0 : 2 * precision * recall / (precision + recall);
+	return {precision: precision, recall: recall, f1: f1};
+}
+
+// Pools the predictions of every held-out fold into one confusion matrix.
+// The margins of the held-out examples are kept for calibration.
+function crossValidate(data, labels, folds, params) {
+	var predictions = new Array(labels.length);
+	var margins = new Array(labels.length);
+	folds.forEach((fold, f) => {
+		var held = new Set(fold);
+		var trainIndexes = labels.map((item, i) => i).filter((i) => !held.has(i));
+		var model = Models.create(params.backend);
+		model.train(trainIndexes.map((i) => data[i]), trainIndexes.map((i) => labels[i]), params);
+		var foldMargins = model.margins(fold.map((i) => data[i]));
+		fold.forEach((index, i) => {
+			margins[index] = foldMargins[i];
+			predictions[index] = foldMargins[i] > 0 ? 1 : -1;
+		});
+	});
+	var matrix = confusionMatrix(labels, predictions);
+	return Object.assign({params: params, matrix: matrix, margins: margins}, scores(matrix));
+}
+
+function grid(options) {
+	var combinations = new Array();
+	options.backend.forEach((backend) => {
+		if (backend === 'svm') {
+			options.kernel.forEach((kernel) => {
+				options.C.forEach((C) => {
+					if (kernel === 'rbf') {
+						options.rbfsigma.forEach((rbfsigma) => combinations.push({backend: backend, kernel: kernel, C: C, rbfsigma: rbfsigma}));
+					} else {
+						combinations.push({backend: backend, kernel: kernel, C: C});
+					}
+				});
+			});
+		} else if (backend === 'logistic') {
+			options.C.forEach((C) => combinations.push({backend: backend, C: C}));
+		} else if (backend === 'tree') {
+			options.depth.forEach((depth) => combinations.push({backend: backend, depth: depth}));
+		} else if (backend === 'stumps') {
+			options.rounds.forEach((rounds) => combinations.push({backend: backend, rounds: rounds}));
+		}
+	});
+	return combinations;
+}
+
+function describe(params) {
+	if (params.backend === 'svm') {
+		return 'svm ' + params.kernel + ' C=' + params.C + (params.kernel === 'rbf' ? ' sigma=' + params.rbfsigma : '');
+	}
+	if (params.backend === 'logistic') {
+		return 'logistic C=' + params.C;
+	}
+	if (params.backend === 'tree') {
+		return 'tree depth=' + params.depth;
+	}
+	if (params.backend === 'stumps') {
+		return 'stumps rounds=' + params.rounds;
+	}
+	return 'ensemble of ' + params.members.map((member) => describe(member) + ' (' + member.weight.toFixed(2) + ')').join(', ');
+}
+
+function report(result) {
+	var m = result.matrix;
+	return [
+		'                 predicted typo  predicted ok',
+		'  actual typo    ' + String(m.tp).padStart(14) + '  ' + String(m.fn).padStart(12),
+		'  actual ok      ' + String(m.fp).padStart(14) + '  ' + String(m.tn).padStart(12),
+		'  precision ' + result.precision.toFixed(3) + '  recall ' + result.recall.toFixed(3) + '  F1 ' + result.f1.toFixed(3)
+	].join('\n');
+}
+
+function main(args) {
+	var options;
+	try {
+		options = parseArgs(args);
+	} catch (error) {
+		console.error(error.message);
+		console.error('Usage: node train.js [--folds 5] [--backend svm,logistic,tree,stumps] [--ensemble] [--C 0.1,1,10] [--kernel linear,rbf] [--rbfsigma 0.5,1,2] [--out model.json] <corpus.jsonl>...');
+		return Promise.resolve(2);
+	}
+
+	var loaderOptions = {resolver: cli.createResolver(options)};
+	if (options.words) {
+		loaderOptions.words = path.resolve(options.words);
+	}
+	if (options.psl) {
+		loaderOptions.suffixes = path.resolve(options.psl);
+	}
+
+	return TypoDetector.loadDetector(ResourceLoaders.fileLoader(), loaderOptions).then((detector) => {
+		return extractExamples(detector, readCorpus(options.files), !options.noPrefilter);
+	}).then((examples) => {
+		var positives = examples.labels.filter((label) => label == 1).length;
+		console.log(examples.data.length + ' examples (' + positives + ' typo URLs), ' + examples.skipped + ' ruled out by Prefiltering');
+		if (positives == 0 || positives == examples.labels.length) {
+			throw new Error('The corpus needs both typo and intended URLs that pass Prefiltering');
+		}
+
+		var folds = makeFolds(examples.labels, Math.min(options.folds, examples.labels.length), options.seed);
+		var best = null;
+		var bestOfBackend = {};
+		var evaluate = (params) => {
+			var result = crossValidate(examples.data, examples.labels, folds, params);
+			console.log(describe(params).padEnd(28) + 'precision ' + result.precision.toFixed(3) + '  recall ' + result.recall.toFixed(3) + '  F1 ' + result.f1.toFixed(3));
+			if (best === null || result.f1 > best.f1) {
+				best = result;
+			}
+			if (!bestOfBackend[params.backend] || result.f1 > bestOfBackend[params.backend].f1) {
+				bestOfBackend[params.backend] = result;
+			}
+		};
+		grid(options).forEach(evaluate);
+		if (options.ensemble) {
+			evaluate({
+				backend: 'ensemble',
+				members: Object.keys(bestOfBackend).map((backend) => Object.assign({weight: bestOfBackend[backend].f1}, bestOfBackend[backend].params))
+			});
+		}
+
+		console.log('\nBest: ' + describe(best.params) + ' (' + options.folds + '-fold cross-validation)');
+		console.log(report(best));
+
+		var trained = Models.create(best.params.backend).train(examples.data, examples.labels, best.params);
+		var model = Models.pipeline(trained, !options.noPrefilter);
+		model.featureNames = Features.names();
+		model.schemaVersion = Features.SCHEMA_VERSION;
+		if (options.calibration !== 'none') {
+			model.calibration = Calibration.fit(options.calibration, best.margins, examples.labels);
+			console.log('Calibration (' + options.calibration + '): margin 0 is ' +
+				(Calibration.probability(model.calibration, 0) * 100).toFixed(1) + '% likely a typo, margin 1 is ' +
+				(Calibration.probability(model.calibration, 1) * 100).toFixed(1) + '%');
+		}
+		fs.writeFileSync(options.out, JSON.stringify(model));
+		console.log('\nModel written to ' + options.out);
+		return 0;
+	});
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2)).then((status) => {
+		process.exitCode = status;
+	}, (error) => {
+		console.error(error.message);
+		process.exitCode = 2;
+	});
+}
+
+module.exports = {
+	main: main,
+	readCorpus: readCorpus,
+	extractExamples: extractExamples,
+	makeFolds: makeFolds,
+	confusionMatrix: confusionMatrix,
+	scores: scores,
+	crossValidate: crossValidate
+};
@@ -0,0 +1,120 @@
+// Analysis worker: runs the detector off the page, so that checking a post
+// never blocks the page it is typed in.
+//
+// The background page starts one worker for all tabs and relays messages to
+// it (see background.js and analysis.js). The word list, the Public Suffix
+// List and the model are loaded once, when the worker starts, and stay in
+// memory for as long as it runs. Messages:
+//   {type: 'load', psl, settings, wordLists}
+//                                        psl is the text of a newer Public
+//                                        Suffix List, or null for the bundled
+//                                        one; wordLists as in lexicon.js
+//   {type: 'configure', settings}        the user changed the settings or
+//                                        (settings.wordLists) the word lists
+//   {type: 'analyze', id, text, options} options.urls and options.links as
+//                                        in analyzeText()
+//   {type: 'registration', id, url}      whether the domain of url is
+//                                        registered, see rdap.js
+// Every analyze message is answered with
+//   {type: 'findings', id, findings, timings} or {type: 'findings', id, error}
+// where findings of URLs the model scored carry their explanation, and every
+// registration message with
+//   {type: 'registration', id, registration} or {type: 'registration', id, error}
+// RDAP answers are cached for as long as the worker runs. DNS answers are
+// cached in chrome.storage.local, which workers cannot reach, so the worker
+// asks the background page for them:
+//   {type: 'storage', id, op: 'get' | 'set' | 'remove', key, value}
+//   {type: 'storage', id, op: 'keys', key}    the keys that start with key
+// and is answered with {type: 'storage', id, value} or {type: 'storage', id, error}.
+
+importScripts('calibration.js', 'svm.js', 'models.js', 'dns.js', 'rdap.js', 'punycode.js', 'psl.js', 'languages.js', 'lexicon.js', 'loaders.js', 'timing.js', 'ngrams.js', 'lookalike.js', 'linkify.js', 'features.js', 'explain.js', 'detector.js');
+
+// Resolves to the detector once the load message came and it is loaded;
+// messages that come before wait for it
+var loaded;
+var ready = new Promise((resolve) => {
+	loaded = resolve;
+});
+
+ready.then((detector) => {
+	postMessage({type: 'loaded', words: detector.words.size, suffixes: detector.psl.size});
+}, (error) => {
+	postMessage({type: 'error', message: 'TypoNoMo could not load its detector: ' + error.message});
+});
+
+self.onmessage = received;
+
+function load(message) {
+	var settings = message.settings;
+	return TypoDetector.loadDetector(ResourceLoaders.urlLoader(self.location.href), {
+		resolver: DNS.createResolver({
+			endpoint: DNS.DEFAULT_ENDPOINT,
+			format: 'json',
+			timeout: 3000,
+			storage: pageStorage()
+		}),
+		rdap: RDAP.createClient(),
+		psl: message.psl ? PSL.parse(message.psl) : null,
+		threshold: settings.threshold,
+		allowlist: settings.allowlist,
+		blocklist: settings.blocklist,
+		bands: settings.bands,
+		brands: settings.brands,
+		wordLists: message.wordLists
+	});
+}
+
+// Storage requests waiting for the background page: id -> {resolve, reject}
+var storageRequests = new Map();
+var storageSequence = 0;
+
+// Storage as in DNS.CachingResolver, kept by the background page
+function pageStorage() {
+	var request = (message) => new Promise((resolve, reject) => {
+		var id = ++storageSequence;
+		storageRequests.set(id, {resolve: resolve, reject: reject});
+		postMessage(Object.assign({type: 'storage', id: id}, message));
+	});
+	return {
+		get: (key) => request({op: 'get', key: key}),
+		set: (key, value) => request({op: 'set', key: key, value: value}),
+		remove: (key) => request({op: 'remove', key: key}),
+		keys: (prefix) => request({op: 'keys', key: prefix})
+	};
+}
+
+function received(event) {
+	var message = event.data;
+	if (message.type === 'storage') {
+		var request = storageRequests.get(message.id);
+		storageRequests.delete(message.id);
+		if (request && message.error) {
+			request.reject(new Error(message.error));
+		} else if (request) {
+			request.resolve(message.value);
+		}
+	} else if (message.type === 'load') {
+		// a list that does not parse rejects ready instead of leaving it pending
+		loaded(Promise.resolve(message).then(load));
+	} else if (message.type === 'configure') {
+		ready.then((detector) => detector.configure(message.settings), () => {});
+	} else if (message.type === 'analyze') {
+		ready.then((detector) => {
+			var timer = new Timing.Timer();
+			return detector.analyzeText(message.text, {urls: message.options.urls, links: message.options.links, timer: timer}).then((findings) => {
+				findings.forEach((finding) => {
+					finding.explanation = detector.explain(finding);
+				});
+				postMessage({type: 'findings', id: message.id, findings: findings, timings: timer.toJSON()});
+			});
+		}).catch((error) => {
+			postMessage({type: 'findings', id: message.id, error: error.message});
+		});
+	} else if (message.type === 'registration') {
+		ready.then((detector) => detector.registration(message.url)).then((registration) => {
+			postMessage({type: 'registration', id: message.id, registration: registration});
+		}).catch((error) => {
+			postMessage({type: 'registration', id: message.id, error: error.message});
+		});
+	}
+}